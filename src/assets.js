@@ -0,0 +1,63 @@
+/**
+ * Assets module - preloads images before the game starts
+ *
+ * A missing or broken file is not an error: it is recorded as missing and
+ * whatever wanted it draws its primitive fallback instead.
+ */
+
+export class AssetLoader {
+    constructor() {
+        this.images = new Map(); // id -> loaded HTMLImageElement
+        this.missing = new Set(); // ids that failed to load
+    }
+
+    /**
+     * Load one image
+     * @param {string} id - Asset id
+     * @param {string} src - Image URL, relative to index.html
+     * @returns {Promise<boolean>} Resolves to true if the image loaded
+     */
+    loadImage(id, src) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => {
+                this.images.set(id, image);
+                resolve(true);
+            };
+            image.onerror = () => {
+                this.missing.add(id);
+                resolve(false);
+            };
+            image.src = src;
+        });
+    }
+
+    /**
+     * Load a batch of images, reporting progress as each one settles
+     * @param {Array<Object>} entries - Images to load as {id, src}
+     * @param {Function} [onProgress] - Called with (settled, total)
+     * @returns {Promise<void>} Resolves once every image has loaded or failed
+     */
+    async loadAll(entries, onProgress) {
+        let settled = 0;
+        if (onProgress) onProgress(0, entries.length);
+
+        await Promise.all(entries.map(async ({ id, src }) => {
+            await this.loadImage(id, src);
+            settled++;
+            if (onProgress) onProgress(settled, entries.length);
+        }));
+    }
+
+    /**
+     * Get a loaded image
+     * @param {string} id - Asset id
+     * @returns {HTMLImageElement|null} Image, or null if missing or not loaded
+     */
+    getImage(id) {
+        return this.images.get(id) || null;
+    }
+}
+
+// Shared loader for the whole game
+export const assets = new AssetLoader();
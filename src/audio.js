@@ -0,0 +1,257 @@
+/**
+ * Audio module - synthesized sound effects and background music (Web Audio)
+ *
+ * Nothing is loaded: every sound is an oscillator or noise burst described in
+ * CONFIG.AUDIO.SFX, and the music is a short note loop scheduled slightly
+ * ahead of the audio clock. Browsers only allow audio after a user gesture,
+ * so the context is created on the first key press or click; until then
+ * play() does nothing.
+ */
+import { CONFIG } from './config.js';
+import { hashCoords } from './random.js';
+
+export class AudioManager {
+    constructor() {
+        this.context = null; // Created by unlock()
+        this.buses = null; // {master, music, sfx} gain nodes
+        this.volumes = {
+            master: CONFIG.AUDIO.MASTER_VOLUME,
+            music: CONFIG.AUDIO.MUSIC_VOLUME,
+            sfx: CONFIG.AUDIO.SFX_VOLUME
+        };
+        this.muted = false;
+        this.voices = []; // Sounds still playing: {name, endTime, output, sources}
+        this.lastPlayed = new Map(); // Sound name -> performance.now() of its last start
+        this.noiseBuffer = null;
+
+        // Music sequencer position
+        this.musicStep = 0;
+        this.nextNoteTime = 0;
+    }
+
+    /**
+     * Create the audio graph; call from a user gesture. Safe to call repeatedly.
+     */
+    unlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (this.context || !AudioContextClass) return;
+
+        this.context = new AudioContextClass();
+        const master = this.context.createGain();
+        const music = this.context.createGain();
+        const sfx = this.context.createGain();
+
+        // The compressor keeps bursts of overlapping sounds from clipping
+        const compressor = this.context.createDynamicsCompressor();
+        music.connect(master);
+        sfx.connect(master);
+        master.connect(compressor);
+        compressor.connect(this.context.destination);
+        this.buses = { master, music, sfx };
+
+        for (const bus of Object.keys(this.volumes)) {
+            this.applyVolume(bus);
+        }
+
+        // One second of white noise, shared by every noise sound
+        const length = this.context.sampleRate;
+        this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const data = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = hashCoords(0, i, 0) * 2 - 1;
+        }
+
+        this.nextNoteTime = this.context.currentTime + 0.1;
+    }
+
+    /**
+     * Set a bus volume
+     * @param {string} bus - 'master', 'music' or 'sfx'
+     * @param {number} volume - Volume from 0 to 1
+     */
+    setVolume(bus, volume) {
+        this.volumes[bus] = Math.max(0, Math.min(1, volume));
+        this.applyVolume(bus);
+    }
+
+    /**
+     * Mute or unmute everything
+     * @param {boolean} muted - Whether to mute
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolume('master');
+    }
+
+    /**
+     * Flip the mute state
+     * @returns {boolean} True if now muted
+     */
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
+    /**
+     * Push a bus volume to its gain node, with a short ramp to avoid clicks
+     * @param {string} bus - 'master', 'music' or 'sfx'
+     */
+    applyVolume(bus) {
+        if (!this.buses) return;
+        const volume = bus === 'master' && this.muted ? 0 : this.volumes[bus];
+        this.buses[bus].gain.setTargetAtTime(volume, this.context.currentTime, 0.02);
+    }
+
+    /**
+     * Stop the audio clock while the game is paused
+     */
+    suspend() {
+        if (this.context) this.context.suspend();
+    }
+
+    /**
+     * Restart the audio clock after a pause
+     */
+    resume() {
+        if (this.context) this.context.resume();
+    }
+
+    /**
+     * Play a sound effect from CONFIG.AUDIO.SFX
+     * @param {string} name - Sound name
+     */
+    play(name) {
+        const sound = CONFIG.AUDIO.SFX[name];
+        if (!this.context || !sound || this.context.state !== 'running') return;
+
+        // Drop rapid repeats of the same sound
+        const now = performance.now();
+        if (sound.cooldown && now - (this.lastPlayed.get(name) ?? -Infinity) < sound.cooldown) return;
+
+        // Voice limiting: cap copies of this sound, then cut the oldest sound if the mix is full
+        const time = this.context.currentTime;
+        this.voices = this.voices.filter(voice => voice.endTime > time);
+        const copies = this.voices.filter(voice => voice.name === name).length;
+        if (copies >= (sound.maxVoices || Infinity)) return;
+        if (this.voices.length >= CONFIG.AUDIO.MAX_VOICES) {
+            this.stopVoice(this.voices.shift());
+        }
+
+        this.lastPlayed.set(name, now);
+        const output = this.context.createGain();
+        output.connect(this.buses.sfx);
+
+        const notes = sound.notes || [1];
+        const sources = notes.map((multiple, i) =>
+            this.playTone(sound, sound.frequency * multiple, time + i * (sound.noteLength || 0), output));
+        const endTime = time + (notes.length - 1) * (sound.noteLength || 0) + sound.duration;
+        this.voices.push({ name, endTime, output, sources });
+    }
+
+    /**
+     * Schedule one enveloped tone or noise burst
+     * @param {Object} sound - Entry from CONFIG.AUDIO.SFX
+     * @param {number} frequency - Start frequency in Hz
+     * @param {number} startTime - Audio clock time to start at
+     * @param {AudioNode} output - Node to connect to
+     * @returns {AudioScheduledSourceNode} The source, so it can be stopped early
+     */
+    playTone(sound, frequency, startTime, output) {
+        const endFrequency = (sound.endFrequency ?? sound.frequency) * frequency / sound.frequency;
+        const endTime = startTime + sound.duration;
+        const envelope = this.context.createGain();
+        envelope.gain.setValueAtTime(0, startTime);
+        envelope.gain.linearRampToValueAtTime(sound.volume, startTime + 0.005);
+        envelope.gain.exponentialRampToValueAtTime(0.001, endTime);
+        envelope.connect(output);
+
+        let source;
+        if (sound.wave === 'noise') {
+            // Noise is swept through a low-pass filter instead of pitched
+            source = this.context.createBufferSource();
+            source.buffer = this.noiseBuffer;
+            source.loop = true;
+            const filter = this.context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(frequency, startTime);
+            filter.frequency.exponentialRampToValueAtTime(endFrequency, endTime);
+            source.connect(filter);
+            filter.connect(envelope);
+        } else {
+            source = this.context.createOscillator();
+            source.type = sound.wave;
+            source.frequency.setValueAtTime(frequency, startTime);
+            source.frequency.exponentialRampToValueAtTime(endFrequency, endTime);
+            source.connect(envelope);
+        }
+
+        source.start(startTime);
+        source.stop(endTime + 0.01);
+        return source;
+    }
+
+    /**
+     * Cut a voice short with a quick fade
+     * @param {Object} voice - Entry from this.voices
+     */
+    stopVoice(voice) {
+        const time = this.context.currentTime;
+        voice.output.gain.setTargetAtTime(0, time, 0.005);
+        for (const source of voice.sources) {
+            source.stop(time + 0.03);
+        }
+    }
+
+    /**
+     * Keep the music loop scheduled ahead of the audio clock; call every frame
+     */
+    update() {
+        if (!this.context || this.context.state !== 'running') return;
+
+        const music = CONFIG.AUDIO.MUSIC;
+        const stepLength = 60 / music.TEMPO / 2; // Eighth notes
+        const horizon = this.context.currentTime + music.LOOKAHEAD;
+
+        // After a long stall, restart the beat rather than cram missed notes in
+        if (this.nextNoteTime < this.context.currentTime) {
+            this.nextNoteTime = this.context.currentTime + 0.05;
+        }
+
+        while (this.nextNoteTime < horizon) {
+            const bass = music.BASS[this.musicStep % music.BASS.length];
+            const lead = music.LEAD[this.musicStep % music.LEAD.length];
+            if (bass !== null) this.playNote('triangle', bass, this.nextNoteTime, stepLength * 1.8, 0.5);
+            if (lead !== null) this.playNote('square', lead, this.nextNoteTime, stepLength * 0.9, 0.08);
+
+            this.musicStep++;
+            this.nextNoteTime += stepLength;
+        }
+    }
+
+    /**
+     * Schedule one note of the music loop
+     * @param {string} wave - Oscillator type
+     * @param {number} semitones - Pitch above CONFIG.AUDIO.MUSIC.ROOT
+     * @param {number} startTime - Audio clock time to start at
+     * @param {number} duration - Length in seconds
+     * @param {number} volume - Peak gain
+     */
+    playNote(wave, semitones, startTime, duration, volume) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = wave;
+        oscillator.frequency.value = CONFIG.AUDIO.MUSIC.ROOT * Math.pow(2, semitones / 12);
+
+        const envelope = this.context.createGain();
+        envelope.gain.setValueAtTime(0, startTime);
+        envelope.gain.linearRampToValueAtTime(volume, startTime + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.001, startTime + duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(this.buses.music);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration + 0.01);
+    }
+}
+
+// Shared audio for the whole game
+export const audio = new AudioManager();
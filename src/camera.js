@@ -1,29 +1,163 @@
 /**
  * Camera module - handles camera positioning and following logic
+ *
+ * The camera keeps (x, y) as the top-left corner of the view in world
+ * pixels; at zoom z it shows screenWidth / z by screenHeight / z of the
+ * world. Following is time-based: a dead-zone lets the player move a little
+ * without dragging the view, a look-ahead leans it the way they are moving,
+ * and the result is eased in exponentially and clamped to the world edges.
+ * Shake is trauma-based and only offsets the rendered view.
  */
 import { CONFIG } from './config.js';
+import { lerp, clamp } from './utils.js';
 
 export class Camera {
     constructor() {
         this.x = 0;
         this.y = 0;
-        this.smoothing = CONFIG.CAMERA.SMOOTHING; // Camera smoothing factor (0 = instant, 1 = no movement)
+        this.prevX = 0; // Position at the previous simulation step, for render interpolation
+        this.prevY = 0;
+        
+        // Follow state, as view centres in world pixels; null until the first follow()
+        this.goalX = null; // Centre of the dead-zone
+        this.goalY = null;
+        this.lookX = 0; // Current look-ahead offset
+        this.lookY = 0;
+        
+        this.zoom = CONFIG.CAMERA.ZOOM;
+        this.prevZoom = this.zoom;
+        this.targetZoom = this.zoom;
+        
+        // Screen shake: trauma (0-1) decays over time; shake strength is trauma squared
+        this.trauma = 0;
+        this.shakeTime = 0;
+        this.shakeX = 0;
+        this.shakeY = 0;
+        this.shakeEnabled = true;
     }
     
     /**
      * Make camera follow a target entity
-     * @param {Object} target - Target entity with x, y properties
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {Object} target - Target entity with x, y (and prevX, prevY for look-ahead)
+     * @param {World} world - World to keep the view inside
      * @param {number} screenWidth - Screen width
      * @param {number} screenHeight - Screen height
      */
-    follow(target, screenWidth, screenHeight) {
-        // Calculate desired camera position (centered on target)
-        const targetX = target.x - screenWidth / 2;
-        const targetY = target.y - screenHeight / 2;
+    follow(deltaTime, target, world, screenWidth, screenHeight) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevZoom = this.zoom;
+        const seconds = deltaTime / 1000;
+        
+        // Zoom eases towards its target about the view centre
+        const centerX = this.x + screenWidth / this.zoom / 2;
+        const centerY = this.y + screenHeight / this.zoom / 2;
+        this.zoom = lerp(this.zoom, this.targetZoom, this.ease(seconds, CONFIG.CAMERA.ZOOM_HALF_LIFE));
+        
+        // The goal only moves once the target leaves the dead-zone around it
+        const deadZone = CONFIG.CAMERA.DEAD_ZONE;
+        if (this.goalX === null) {
+            this.goalX = target.x;
+            this.goalY = target.y;
+        }
+        this.goalX = clamp(this.goalX, target.x - deadZone.WIDTH / 2, target.x + deadZone.WIDTH / 2);
+        this.goalY = clamp(this.goalY, target.y - deadZone.HEIGHT / 2, target.y + deadZone.HEIGHT / 2);
+        
+        // Lean towards where the target is heading
+        const moveX = target.x - (target.prevX ?? target.x);
+        const moveY = target.y - (target.prevY ?? target.y);
+        const moved = Math.sqrt(moveX * moveX + moveY * moveY);
+        const lookTargetX = moved > 0 ? moveX / moved * CONFIG.CAMERA.LOOK_AHEAD : 0;
+        const lookTargetY = moved > 0 ? moveY / moved * CONFIG.CAMERA.LOOK_AHEAD : 0;
+        const lookEase = this.ease(seconds, CONFIG.CAMERA.LOOK_AHEAD_HALF_LIFE);
+        this.lookX = lerp(this.lookX, lookTargetX, lookEase);
+        this.lookY = lerp(this.lookY, lookTargetY, lookEase);
         
-        // Apply smooth following
-        this.x = this.x + (targetX - this.x) * this.smoothing;
-        this.y = this.y + (targetY - this.y) * this.smoothing;
+        // Exponential smoothing towards the goal, the same at any step length
+        const followEase = this.ease(seconds, CONFIG.CAMERA.HALF_LIFE);
+        const newCenterX = lerp(centerX, this.goalX + this.lookX, followEase);
+        const newCenterY = lerp(centerY, this.goalY + this.lookY, followEase);
+        
+        const viewWidth = screenWidth / this.zoom;
+        const viewHeight = screenHeight / this.zoom;
+        this.x = newCenterX - viewWidth / 2;
+        this.y = newCenterY - viewHeight / 2;
+        this.clampToWorld(world, viewWidth, viewHeight);
+        
+        this.updateShake(seconds);
+    }
+    
+    /**
+     * Fraction of the remaining distance to cover this step for a given half-life
+     * @param {number} seconds - Step length in seconds
+     * @param {number} halfLife - Seconds to cover half the distance (0 = instant)
+     * @returns {number} Blend factor (0-1)
+     */
+    ease(seconds, halfLife) {
+        return halfLife > 0 ? 1 - Math.pow(0.5, seconds / halfLife) : 1;
+    }
+    
+    /**
+     * Keep the view inside the world; a world smaller than the view is centred
+     * @param {World} world - World instance (endless worlds have infinite size and are skipped)
+     * @param {number} viewWidth - Visible width in world pixels
+     * @param {number} viewHeight - Visible height in world pixels
+     */
+    clampToWorld(world, viewWidth, viewHeight) {
+        const size = world.getWorldSize();
+        if (Number.isFinite(size.width)) {
+            this.x = size.width > viewWidth ? clamp(this.x, 0, size.width - viewWidth) : (size.width - viewWidth) / 2;
+        }
+        if (Number.isFinite(size.height)) {
+            this.y = size.height > viewHeight ? clamp(this.y, 0, size.height - viewHeight) : (size.height - viewHeight) / 2;
+        }
+    }
+    
+    /**
+     * Add screen shake; trauma builds up from repeated hits and is capped at 1
+     * @param {number} amount - Trauma to add (0-1)
+     */
+    addTrauma(amount) {
+        if (!this.shakeEnabled) return;
+        this.trauma = Math.min(1, this.trauma + amount);
+    }
+    
+    /**
+     * Turn screen shake on or off; turning it off stops any shake at once
+     * @param {boolean} enabled - Whether hits shake the screen
+     */
+    setShakeEnabled(enabled) {
+        this.shakeEnabled = enabled;
+        if (!enabled) {
+            this.trauma = 0;
+            this.shakeX = 0;
+            this.shakeY = 0;
+        }
+    }
+    
+    /**
+     * Decay trauma and work out this step's shake offset
+     * @param {number} seconds - Step length in seconds
+     */
+    updateShake(seconds) {
+        const shake = CONFIG.CAMERA.SHAKE;
+        this.trauma = Math.max(0, this.trauma - shake.DECAY * seconds);
+        this.shakeTime += seconds;
+        
+        // Summed sines at unrelated frequencies wobble without looking periodic
+        const strength = this.trauma * this.trauma * shake.MAX_OFFSET;
+        const t = this.shakeTime * shake.FREQUENCY;
+        this.shakeX = strength * (Math.sin(t * 1.0) + Math.sin(t * 2.3 + 1.7)) / 2;
+        this.shakeY = strength * (Math.sin(t * 1.3 + 0.5) + Math.sin(t * 2.9 + 3.1)) / 2;
+    }
+    
+    /**
+     * Change the zoom level; the camera eases to it
+     * @param {number} zoom - Zoom factor (1 = one world pixel per screen pixel)
+     */
+    setZoom(zoom) {
+        this.targetZoom = clamp(zoom, CONFIG.CAMERA.MIN_ZOOM, CONFIG.CAMERA.MAX_ZOOM);
     }
     
     /**
@@ -34,6 +168,39 @@ export class Camera {
     setPosition(x, y) {
         this.x = x;
         this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.goalX = null;
+        this.goalY = null;
+        this.lookX = 0;
+        this.lookY = 0;
+    }
+    
+    /**
+     * Get the view to render, blended between the last two simulation steps
+     * and offset by any shake
+     * @param {number} alpha - Interpolation factor (0-1)
+     * @returns {Object} Object with x, y camera position and zoom
+     */
+    getInterpolatedPosition(alpha) {
+        return {
+            x: lerp(this.prevX, this.x, alpha) + this.shakeX,
+            y: lerp(this.prevY, this.y, alpha) + this.shakeY,
+            zoom: lerp(this.prevZoom, this.zoom, alpha)
+        };
+    }
+    
+    /**
+     * Get the size of the visible area in world pixels
+     * @param {number} screenWidth - Screen width
+     * @param {number} screenHeight - Screen height
+     * @returns {Object} Object with width, height
+     */
+    getViewSize(screenWidth, screenHeight) {
+        return {
+            width: screenWidth / this.zoom,
+            height: screenHeight / this.zoom
+        };
     }
     
     /**
@@ -45,9 +212,9 @@ export class Camera {
     getBounds(screenWidth, screenHeight) {
         return {
             left: this.x,
-            right: this.x + screenWidth,
+            right: this.x + screenWidth / this.zoom,
             top: this.y,
-            bottom: this.y + screenHeight
+            bottom: this.y + screenHeight / this.zoom
         };
     }
     
@@ -59,8 +226,8 @@ export class Camera {
      */
     worldToScreen(worldX, worldY) {
         return {
-            x: worldX - this.x,
-            y: worldY - this.y
+            x: (worldX - this.x) * this.zoom,
+            y: (worldY - this.y) * this.zoom
         };
     }
     
@@ -72,8 +239,8 @@ export class Camera {
      */
     screenToWorld(screenX, screenY) {
         return {
-            x: screenX + this.x,
-            y: screenY + this.y
+            x: screenX / this.zoom + this.x,
+            y: screenY / this.zoom + this.y
         };
     }
 }
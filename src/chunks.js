@@ -0,0 +1,248 @@
+/**
+ * Chunks module - endless world streamed in square chunks around the camera
+ *
+ * Chunk contents are a pure function of the run seed and the chunk's
+ * coordinates: cave noise is hashed per tile and smoothed over a padded area,
+ * so caves run seamlessly across chunk borders, and terrain patches use a
+ * generator seeded per chunk. Distant chunks are dropped and rebuilt when
+ * the player returns; tiles changed during play (destroyed crates, the
+ * cleared start) are kept as edits and reapplied.
+ */
+import { TILE_TYPES } from './utils.js';
+import { CONFIG } from './config.js';
+import { World } from './world.js';
+import { getRandom, hashCoords, Random } from './random.js';
+import { createTiles, smoothCaves, addTerrain, connectMap } from './generators.js';
+
+export class EndlessWorld extends World {
+    constructor() {
+        super();
+
+        this.width = Infinity; // tiles
+        this.height = Infinity;
+        this.chunkSize = CONFIG.WORLD.ENDLESS.CHUNK_SIZE; // tiles per side
+        this.chunks = new Map(); // chunk key -> loaded chunk {x, y, tiles}
+        this.edits = new Map(); // chunk key -> Map of tile index within the chunk -> tile type
+        this.seed = Math.floor(getRandom('world').next() * 4294967296);
+
+        this.clearStart();
+    }
+
+    /**
+     * Chunks are generated on demand, so there is no up-front map
+     * @returns {null} No tile array
+     */
+    generateWorld() {
+        return null;
+    }
+
+    /**
+     * Get the key for a chunk, valid for negative coordinates too
+     * @param {number} chunkX - Chunk column
+     * @param {number} chunkY - Chunk row
+     * @returns {number} Key unique to the chunk
+     */
+    chunkKey(chunkX, chunkY) {
+        return chunkX * 65536 + chunkY;
+    }
+
+    /**
+     * Get a chunk's tiles, generating it if it is not loaded
+     * @param {number} chunkX - Chunk column
+     * @param {number} chunkY - Chunk row
+     * @returns {Uint8Array} Tile types, row by row
+     */
+    getChunk(chunkX, chunkY) {
+        const key = this.chunkKey(chunkX, chunkY);
+        let chunk = this.chunks.get(key);
+        if (!chunk) {
+            chunk = { x: chunkX, y: chunkY, tiles: this.generateChunk(chunkX, chunkY) };
+            this.chunks.set(key, chunk);
+        }
+        return chunk.tiles;
+    }
+
+    /**
+     * Build a chunk from the run seed, then reapply any edits made to it
+     * @param {number} chunkX - Chunk column
+     * @param {number} chunkY - Chunk row
+     * @returns {Uint8Array} Tile types, row by row
+     */
+    generateChunk(chunkX, chunkY) {
+        const size = this.chunkSize;
+        const steps = CONFIG.WORLD.CAVES.STEPS;
+        const span = size + steps * 2;
+        const originX = chunkX * size - steps;
+        const originY = chunkY * size - steps;
+
+        // Noise over the chunk plus a margin wide enough for smoothing to be exact
+        const noise = createTiles(span, span, TILE_TYPES.FLOOR);
+        for (let y = 0; y < span; y++) {
+            for (let x = 0; x < span; x++) {
+                if (hashCoords(this.seed, originX + x, originY + y) < CONFIG.WORLD.ENDLESS.FILL) {
+                    noise[y][x] = TILE_TYPES.WALL;
+                }
+            }
+        }
+        const smoothed = smoothCaves(noise, steps);
+
+        const tiles = [];
+        for (let y = 0; y < size; y++) {
+            tiles.push(smoothed[y + steps].slice(steps, steps + size));
+        }
+        const random = new Random(Math.floor(hashCoords(this.seed ^ 0x5EED, chunkX, chunkY) * 4294967296));
+        addTerrain(tiles, random);
+
+        const chunk = Uint8Array.from(tiles.flat());
+        const edits = this.edits.get(this.chunkKey(chunkX, chunkY));
+        if (edits) {
+            for (const [index, type] of edits) {
+                chunk[index] = type;
+            }
+        }
+        return chunk;
+    }
+
+    /**
+     * Get tile type by tile coordinates, generating its chunk if needed
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @returns {number} Tile type (see TILE_TYPES)
+     */
+    getTile(tileX, tileY) {
+        const chunkX = Math.floor(tileX / this.chunkSize);
+        const chunkY = Math.floor(tileY / this.chunkSize);
+        const chunk = this.getChunk(chunkX, chunkY);
+        return chunk[(tileY - chunkY * this.chunkSize) * this.chunkSize + (tileX - chunkX * this.chunkSize)];
+    }
+
+    /**
+     * Change a tile, remembering the change for when the chunk is rebuilt
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @param {number} type - New tile type
+     */
+    setTile(tileX, tileY, type) {
+        const chunkX = Math.floor(tileX / this.chunkSize);
+        const chunkY = Math.floor(tileY / this.chunkSize);
+        const key = this.chunkKey(chunkX, chunkY);
+        const index = (tileY - chunkY * this.chunkSize) * this.chunkSize + (tileX - chunkX * this.chunkSize);
+
+        this.getChunk(chunkX, chunkY)[index] = type;
+        if (!this.edits.has(key)) {
+            this.edits.set(key, new Map());
+        }
+        this.edits.get(key).set(index, type);
+        this.revision++;
+    }
+
+    /**
+     * The endless world has no edges
+     * @returns {Object} Unbounded {left, top, right, bottom}
+     */
+    getTileBounds() {
+        return { left: -Infinity, top: -Infinity, right: Infinity, bottom: Infinity };
+    }
+
+    /**
+     * Open up the player start and join every cave around it, as generated
+     * maps do, over a window of chunks centred on the start
+     */
+    clearStart() {
+        const startX = Math.floor(CONFIG.PLAYER.START_X / this.tileSize);
+        const startY = Math.floor(CONFIG.PLAYER.START_Y / this.tileSize);
+        const half = Math.floor(this.chunkSize * 3 / 2);
+        const left = startX - half;
+        const top = startY - half;
+        const size = half * 2 + 1;
+
+        const area = createTiles(size, size, TILE_TYPES.FLOOR);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                area[y][x] = this.getTile(left + x, top + y);
+            }
+        }
+
+        connectMap(area, half, half);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (area[y][x] !== this.getTile(left + x, top + y)) {
+                    this.setTile(left + x, top + y, area[y][x]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Load the chunks around the view and drop those far from it
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {Camera} camera - Camera
+     * @param {number} screenWidth - Screen width
+     * @param {number} screenHeight - Screen height
+     */
+    update(deltaTime, camera, screenWidth, screenHeight) {
+        super.update(deltaTime, camera, screenWidth, screenHeight);
+        
+        const chunkPixels = this.chunkSize * this.tileSize;
+        const centreX = Math.floor((camera.x + screenWidth / 2) / chunkPixels);
+        const centreY = Math.floor((camera.y + screenHeight / 2) / chunkPixels);
+        const { LOAD_RADIUS, UNLOAD_RADIUS } = CONFIG.WORLD.ENDLESS;
+
+        for (let chunkY = centreY - LOAD_RADIUS; chunkY <= centreY + LOAD_RADIUS; chunkY++) {
+            for (let chunkX = centreX - LOAD_RADIUS; chunkX <= centreX + LOAD_RADIUS; chunkX++) {
+                this.getChunk(chunkX, chunkY);
+            }
+        }
+
+        for (const [key, chunk] of this.chunks) {
+            if (Math.max(Math.abs(chunk.x - centreX), Math.abs(chunk.y - centreY)) > UNLOAD_RADIUS) {
+                this.chunks.delete(key);
+            }
+        }
+    }
+
+    /**
+     * The endless world has no size
+     * @returns {Object} Infinite width and height in pixels
+     */
+    getWorldSize() {
+        return { width: Infinity, height: Infinity };
+    }
+
+    /**
+     * Capture the world for a saved run: the seed and every edited tile
+     * @returns {Object} Plain snapshot
+     */
+    serialize() {
+        const edits = [];
+        for (const [key, chunkEdits] of this.edits) {
+            edits.push([key, ...[...chunkEdits].flat()]);
+        }
+        return { endless: true, tileSize: this.tileSize, seed: this.seed, edits };
+    }
+
+    /**
+     * Replace the world with one from a saved run
+     * @param {Object} data - Snapshot from serialize()
+     */
+    restore(data) {
+        if (!data.endless) {
+            throw new Error('Saved world is not an endless world');
+        }
+
+        this.tileSize = data.tileSize;
+        this.seed = data.seed;
+        this.chunks.clear();
+        this.edits.clear();
+        this.tileHealth.clear();
+        for (const [key, ...pairs] of data.edits) {
+            const chunkEdits = new Map();
+            for (let i = 0; i < pairs.length; i += 2) {
+                chunkEdits.set(pairs[i], pairs[i + 1]);
+            }
+            this.edits.set(key, chunkEdits);
+        }
+        this.revision++;
+    }
+}
@@ -9,6 +9,17 @@ export const CONFIG = {
         HEIGHT: 600
     },
     
+    // Game loop settings
+    LOOP: {
+        FIXED_STEP: 1000 / 60, // ms of simulation per update
+        MAX_FRAME_TIME: 250 // Longest frame the loop will catch up on (ms)
+    },
+    
+    // Scene settings
+    STATES: {
+        GAME_OVER_DELAY: 1500 // ms of death animation before the results screen
+    },
+    
     // Player settings
     PLAYER: {
         WIDTH: 24,
@@ -16,7 +27,19 @@ export const CONFIG = {
         SPEED: 150, // pixels per second
         MAX_HEALTH: 100,
         START_X: 400,
-        START_Y: 300
+        START_Y: 300,
+        INVULNERABILITY_TIME: 1000, // ms of immunity after taking a hit
+        KNOCKBACK_SPEED: 350, // pixels per second when knocked back
+        KNOCKBACK_DURATION: 150, // ms
+        ACCELERATION: 1500, // px/s² towards the steered speed
+        FRICTION: 1200, // px/s² of slowing down once input stops
+        DASH: {
+            SPEED: 520, // pixels per second while dashing
+            DURATION: 160, // ms; the player can't be hurt for this long
+            COOLDOWN: 1800, // ms between dashes
+            COOLDOWN_STEP: 150, // Cooldown removed per upgrade
+            MIN_COOLDOWN: 900
+        }
     },
     
     // World settings
@@ -24,12 +47,66 @@ export const CONFIG = {
         TILE_SIZE: 32,
         WIDTH_TILES: 50,
         HEIGHT_TILES: 40,
-        OBSTACLE_DENSITY: 0.1 // Percentage of random obstacles
+        GENERATOR: 'caves', // Map generator id: 'caves', 'rooms' or 'scatter'
+        OBSTACLE_DENSITY: 0.1, // Percentage of random obstacles ('scatter')
+        START_CLEARANCE: 1, // Tiles around the player start always left open
+        // Terrain scattered over generated maps: type is a TILE_TYPES key,
+        // count the number of patches and size the tiles per patch
+        TERRAIN: [
+            { type: 'MUD', count: 5, size: 14, shape: 'blob' },
+            { type: 'WATER', count: 3, size: 18, shape: 'blob' },
+            { type: 'POISON', count: 3, size: 8, shape: 'blob' },
+            { type: 'LAVA', count: 2, size: 6, shape: 'blob' },
+            { type: 'LOW_WALL', count: 6, size: 4, shape: 'line' },
+            { type: 'CRATE', count: 10, size: 2, shape: 'blob' }
+        ],
+        // Endless mode (?endless): caves streamed in chunks around the camera
+        ENDLESS: {
+            CHUNK_SIZE: 16, // Tiles per chunk side
+            LOAD_RADIUS: 2, // Chunks kept loaded around the view's centre chunk
+            UNLOAD_RADIUS: 4, // Chunks further than this are dropped
+            FILL: 0.45 // Starting share of wall tiles in the cave noise
+        },
+        CAVES: {
+            FILL: 0.42, // Starting share of wall tiles
+            STEPS: 4, // Smoothing passes
+            BIRTH_LIMIT: 5, // A floor tile with this many wall neighbours becomes wall
+            SURVIVAL_LIMIT: 4 // A wall tile needs this many wall neighbours to stay
+        },
+        ROOMS: {
+            COUNT: 14,
+            MIN_SIZE: 4, // Tiles per side
+            MAX_SIZE: 10,
+            CORRIDOR_WIDTH: 2,
+            ATTEMPTS: 200 // Placement tries before giving up on COUNT
+        }
+    },
+
+    // Tiled map loading (?map=maps/arena.json); names are matched case-insensitively
+    TILED: {
+        COLLISION_LAYER: 'collision', // Tile layer whose non-empty tiles are walls
+        PLAYER_START: 'player_start', // Object class/type or name
+        SPAWN_ZONE: 'spawn_zone' // Rectangle objects enemies spawn inside
     },
     
     // Camera settings
     CAMERA: {
-        SMOOTHING: 0.1 // 0 = instant, 1 = no movement
+        HALF_LIFE: 0.12, // Seconds to close half the gap to the player (0 = instant)
+        DEAD_ZONE: { WIDTH: 64, HEIGHT: 48 }, // Pixels the player can move without the view following
+        LOOK_AHEAD: 60, // Pixels the view leans in the direction of movement
+        LOOK_AHEAD_HALF_LIFE: 0.4,
+        ZOOM: 1,
+        MIN_ZOOM: 0.6,
+        MAX_ZOOM: 2,
+        ZOOM_HALF_LIFE: 0.15,
+        ZOOM_STEP: 1.1, // Zoom factor per mouse wheel notch
+        SHAKE: {
+            MAX_OFFSET: 12, // Pixels at full trauma
+            DECAY: 1.5, // Trauma lost per second
+            FREQUENCY: 40, // Wobble speed
+            HURT: 0.4, // Trauma added when the player is hit
+            BIG_KILL: 0.5 // ...and when an elite or boss dies
+        }
     },
       // Weapon settings
     WEAPON: {
@@ -41,23 +118,228 @@ export const CONFIG = {
         MULTI_SHOT_COUNT: 1, // Number of projectiles per shot
         SPREAD_ANGLE: 15, // Degrees between multi-shot projectiles
         PIERCING: false, // Whether projectiles can hit multiple enemies
-        HOMING_STRENGTH: 0 // 0 = no homing, 1 = full homing
+        HOMING_STRENGTH: 0, // 0 = no homing, 1 = full homing
+        MAX_FIRE_RATE: 6, // Upgrade caps
+        MAX_MULTI_SHOT: 8,
+        MAX_AUTO_TARGET_RANGE: 450,
+        STARTING_WEAPON: 'bolt',
+        MAX_SLOTS: 4, // Weapons the player can hold at once
+        AIM_MODE: 'auto', // 'auto' targets enemies; 'manual' fires at the mouse or right stick
+        RETICLE_DISTANCE: 90 // Pixels from the player to the reticle when aiming with the stick
     },
-      // Enemy settings (for future use with auto-targeting)
+    // Enemy spawning (rate, cap and mix come from WAVES)
     ENEMY: {
-        SPAWN_RATE: 3, // enemies per second (increased for more action)
-        MAX_ENEMIES: 15,
-        SPEED: 60,
-        HEALTH: 40,
         SPAWN_DISTANCE_MIN: 150, // Minimum spawn distance from player
-        SPAWN_DISTANCE_MAX: 300  // Maximum spawn distance from player
+        SPAWN_DISTANCE_MAX: 300,  // Maximum spawn distance from player
+        SEPARATION: 0.25, // Fraction of an overlap pushed apart each step
+        ELITE: { // Multipliers applied to elite enemies
+            HEALTH: 3,
+            SIZE: 1.3,
+            SPEED: 1.15,
+            XP: 4
+        }
+    },
+    
+    // Enemy pathfinding
+    PATHFINDING: {
+        RADIUS: 24 // Tiles around the player covered by the flow field
+    },
+    
+    // Spatial index for collision and targeting queries
+    SPATIAL: {
+        CELL_SIZE: 64, // Pixels per grid cell
+        MAX_CACHED_CELLS: 4096 // Empty cells kept for reuse before the grid is dropped
+    },
+    
+    // Wave director, driven by elapsed run time
+    WAVES: {
+        WAVE_DURATION: 30000, // ms per wave number shown in the HUD
+        // Keyframes: spawn rate (per second) and cap are blended between
+        // entries; the archetype mix switches at each entry's time
+        SCHEDULE: [
+            { time: 0, spawnRate: 1.5, maxEnemies: 8, weights: { grunt: 10 } },
+            { time: 30000, spawnRate: 2, maxEnemies: 12, weights: { grunt: 10, charger: 3 } },
+            { time: 60000, spawnRate: 2.5, maxEnemies: 16, weights: { grunt: 10, charger: 3, ranged: 3 } },
+            { time: 120000, spawnRate: 3, maxEnemies: 22, weights: { grunt: 8, charger: 4, ranged: 4, splitter: 3 } },
+            { time: 180000, spawnRate: 4, maxEnemies: 30, weights: { grunt: 6, charger: 4, ranged: 4, splitter: 3, tank: 2 } },
+            { time: 300000, spawnRate: 5, maxEnemies: 40, weights: { grunt: 5, charger: 5, ranged: 5, splitter: 4, tank: 3 } }
+        ],
+        HEALTH_SCALING: 0.15, // Extra enemy health per minute survived
+        ELITE_INTERVAL: 75000, // ms between elite waves
+        ELITE_COUNT: 5,
+        BOSS_INTERVAL: 180000, // ms between boss waves
+        BOSS_TYPE: 'boss',
+        WARNING_TIME: 3000 // ms of on-screen warning before an elite or boss wave
+    },
+    
+    // Enemy archetypes. behavior selects the AI routine; fields past
+    // shape are tuning for that routine.
+    ENEMY_TYPES: {
+        grunt: {
+            behavior: 'chase',
+            size: 20, speed: 60, health: 40, contactDamage: 10, xp: 10,
+            color: '#E74C3C', shape: 'square'
+        },
+        charger: {
+            behavior: 'charger',
+            size: 18, speed: 70, health: 30, contactDamage: 15, xp: 15,
+            color: '#F39C12', shape: 'triangle',
+            chargeRange: 200, // Starts winding up inside this distance
+            windupTime: 600, dashTime: 400, recoverTime: 500, // ms
+            dashSpeed: 380
+        },
+        ranged: {
+            behavior: 'ranged',
+            size: 18, speed: 55, health: 25, contactDamage: 8, xp: 15,
+            color: '#8E44AD', shape: 'diamond',
+            preferredDistance: 180, // Keeps roughly this far from the player
+            fireRange: 260, fireInterval: 1800, // ms
+            projectileSpeed: 180, projectileDamage: 8, projectileRange: 320
+        },
+        splitter: {
+            behavior: 'chase',
+            size: 24, speed: 50, health: 50, contactDamage: 10, xp: 12,
+            color: '#27AE60', shape: 'circle',
+            splitInto: 'splitling', splitCount: 3
+        },
+        splitling: {
+            behavior: 'chase',
+            size: 12, speed: 95, health: 12, contactDamage: 5, xp: 4,
+            color: '#2ECC71', shape: 'circle'
+        },
+        tank: {
+            behavior: 'chase',
+            size: 34, speed: 32, health: 220, contactDamage: 25, xp: 40,
+            color: '#7F8C8D', shape: 'square'
+        },
+        boss: {
+            behavior: 'boss',
+            size: 56, speed: 40, health: 2000, contactDamage: 30, xp: 250,
+            color: '#C0392B', shape: 'diamond',
+            burstInterval: 3000, burstCount: 12, // Radial projectile volley
+            projectileSpeed: 150, projectileDamage: 12, projectileRange: 400
+        }
+    },
+    
+    // Sprite sheets, preloaded behind the loading screen. Keys are sheet ids:
+    // 'player', an enemy type (e.g. 'grunt'), 'bolt', 'enemy-shot' or 'tiles'
+    // (clips named after tiles, e.g. 'lava'). Anything without a sheet, or
+    // whose image fails to load, is drawn with primitives instead.
+    SPRITES: {
+        player: {
+            src: 'assets/sprites/player.png',
+            frameWidth: 32,
+            frameHeight: 32,
+            clips: {
+                idle: { frames: [0, 1], duration: 500 },
+                'walk-down': { frames: [4, 5, 6, 7], duration: 120 },
+                'walk-up': { frames: [8, 9, 10, 11], duration: 120 },
+                'walk-left': { frames: [12, 13, 14, 15], duration: 120 },
+                'walk-right': { frames: [16, 17, 18, 19], duration: 120 },
+                hit: { frames: [20], duration: 150, loop: false },
+                death: { frames: [24, 25, 26, 27], durations: [120, 120, 160, 400], loop: false }
+            }
+        }
+    },
+
+    // Synthesized audio. Volumes are 0-1 per bus; sounds mix into the
+    // SFX bus and the music loop into the music bus, both into master.
+    AUDIO: {
+        MASTER_VOLUME: 0.8,
+        MUSIC_VOLUME: 0.35,
+        SFX_VOLUME: 0.7,
+        MAX_VOICES: 16, // Sounds playing at once; the oldest is cut off beyond this
+        // Each sound is one oscillator ('sine', 'square', 'sawtooth', 'triangle')
+        // or 'noise', swept from frequency to endFrequency over duration seconds.
+        // notes plays it once per entry at that frequency multiple, noteLength apart.
+        // maxVoices caps copies of the same sound; cooldown (ms) drops rapid repeats.
+        SFX: {
+            shot: { wave: 'square', frequency: 880, endFrequency: 440, duration: 0.06, volume: 0.12, maxVoices: 3, cooldown: 40 },
+            hit: { wave: 'triangle', frequency: 320, endFrequency: 120, duration: 0.08, volume: 0.25, maxVoices: 4, cooldown: 30 },
+            death: { wave: 'noise', frequency: 1200, endFrequency: 200, duration: 0.25, volume: 0.3, maxVoices: 4, cooldown: 40 },
+            hurt: { wave: 'sawtooth', frequency: 220, endFrequency: 80, duration: 0.2, volume: 0.35, maxVoices: 1, cooldown: 250 },
+            levelUp: { wave: 'square', frequency: 523, endFrequency: 523, duration: 0.12, volume: 0.2, notes: [1, 1.26, 1.5, 2], noteLength: 0.09, maxVoices: 1 },
+            pickup: { wave: 'sine', frequency: 988, endFrequency: 1480, duration: 0.07, volume: 0.15, maxVoices: 2, cooldown: 50 },
+            dash: { wave: 'noise', frequency: 3000, endFrequency: 500, duration: 0.15, volume: 0.2, maxVoices: 1 }
+        },
+        // Background loop: one entry per eighth note, in semitones above
+        // ROOT (Hz); null is a rest. Both lines repeat every BASS.length steps.
+        MUSIC: {
+            TEMPO: 112, // Beats per minute
+            ROOT: 110,
+            BASS: [0, null, 0, null, 12, null, 0, null, -4, null, -4, null, 8, null, -4, null,
+                3, null, 3, null, 15, null, 3, null, -2, null, -2, null, 10, null, -2, null],
+            LEAD: [24, null, 27, 31, null, 27, 24, null, 20, null, 24, 27, null, 24, 20, null,
+                27, null, 31, 34, null, 31, 27, null, 22, null, 26, 29, null, 26, 22, null],
+            LOOKAHEAD: 0.2 // Seconds of notes scheduled ahead of the audio clock
+        }
+    },
+
+    // Particles and hit feedback. Each emitter throws count particles in
+    // random directions at up to speed px/s, living life ms, size px across;
+    // rings grow from size to endSize instead.
+    EFFECTS: {
+        ENABLED: true, // Turn off (or press V) on slow machines
+        MAX_PARTICLES: 400,
+        HIT_FLASH_TIME: 80, // ms an enemy shows white after being hit
+        HIT_STOP: {
+            HURT: 60, // ms the action freezes when the player is hit
+            ELITE_KILL: 90 // ...and when an elite or boss dies
+        },
+        DAMAGE_NUMBER_LIFE: 600,
+        MUZZLE_FLASH: { count: 3, speed: 120, life: 80, size: 4 },
+        HIT_SPARKS: { count: 4, speed: 160, life: 200, size: 2 },
+        DEATH_BURST: { count: 12, speed: 200, life: 450, size: 3 },
+        XP_SPARKLE: { count: 4, speed: 60, life: 350, size: 2 },
+        LEVEL_UP_RING: { count: 2, life: 600, size: 10, endSize: 90 }
     },
     
     // Experience and progression
     PROGRESSION: {
-        XP_PER_ENEMY: 10,
         XP_PER_LEVEL: 50,
-        MAX_LEVEL: 10
+        MAX_LEVEL: 10,
+        UPGRADE_CHOICES: 3 // Cards offered per level-up
+    },
+    
+    // Browser storage for saved runs and the meta-profile
+    SAVE: {
+        RUN_KEY: 'minimalist-rpg.run',
+        PROFILE_KEY: 'minimalist-rpg.profile',
+        SETTINGS_KEY: 'minimalist-rpg.settings',
+        AUTOSAVE_INTERVAL: 10000 // ms of play between run autosaves
+    },
+    
+    // Meta-progression: coins earned per run buy permanent starting bonuses
+    META: {
+        COINS_PER_KILL: 0.2,
+        COINS_PER_MINUTE: 5,
+        // Each level adds step to CONFIG[section][stat] at run start;
+        // the nth level costs cost * costGrowth^(n - 1), rounded
+        BONUSES: {
+            vitality: { name: 'Vitality', description: 'Start with more max health.', section: 'PLAYER', stat: 'MAX_HEALTH', step: 10, maxLevel: 5, cost: 20, costGrowth: 1.5 },
+            swiftness: { name: 'Swiftness', description: 'Move faster.', section: 'PLAYER', stat: 'SPEED', step: 8, maxLevel: 5, cost: 25, costGrowth: 1.5 },
+            might: { name: 'Might', description: 'Bolts hit harder.', section: 'WEAPON', stat: 'PROJECTILE_DAMAGE', step: 3, maxLevel: 5, cost: 30, costGrowth: 1.6 },
+            haste: { name: 'Haste', description: 'Bolts fire more often.', section: 'WEAPON', stat: 'FIRE_RATE', step: 0.25, maxLevel: 4, cost: 40, costGrowth: 1.7 }
+        }
+    },
+    
+    // Pickups dropped by enemies
+    PICKUPS: {
+        MAGNET_RADIUS: 60, // Pickups this close start flying to the player
+        MAGNET_STEP: 30, // Magnet radius gained per upgrade
+        MAX_MAGNET_RADIUS: 240,
+        ATTRACT_SPEED: 120, // Starting speed of a pickup flying to the player
+        ATTRACT_ACCELERATION: 900, // px/s², so pickups catch a fleeing player
+        HEALTH_CHANCE: 0.03, // Per kill
+        HEALTH_AMOUNT: 25,
+        VACUUM_CHANCE: 0.004, // Per kill; pulls in every gem on the map
+        // Gems grow and change colour with their XP value
+        GEM_TIERS: [
+            { minValue: 0, radius: 4, color: '#2ECC71' },
+            { minValue: 15, radius: 5, color: '#3498DB' },
+            { minValue: 40, radius: 7, color: '#9B59B6' },
+            { minValue: 150, radius: 9, color: '#E74C3C' }
+        ]
     },
     
     // Input settings
@@ -67,6 +349,35 @@ export const CONFIG = {
             DOWN: ['KeyS', 'ArrowDown'],
             LEFT: ['KeyA', 'ArrowLeft'],
             RIGHT: ['KeyD', 'ArrowRight']
+        },
+        // Default keys for the other actions; players can rebind any action
+        ACTION_KEYS: {
+            pause: ['Escape', 'KeyP'],
+            confirm: ['Enter', 'Space'],
+            restart: ['KeyR'],
+            pattern: ['KeyQ'], // Cycle the bolt firing pattern
+            multiShot: ['KeyE'], // Debug: upgrade multi-shot
+            debug: ['Backquote'], // Pool-usage overlay
+            mute: ['KeyM'],
+            effects: ['KeyV'],
+            dash: ['ShiftLeft', 'ShiftRight'],
+            aimMode: ['KeyT'] // Switch between auto and manual aim
+        },
+        GAMEPAD: {
+            DEADZONE: 0.2, // Stick travel (0-1) ignored around the centre
+            // Standard-mapping button indices per action (the d-pad and left stick always move)
+            BUTTONS: {
+                pause: [9], // Start
+                confirm: [0], // A / Cross
+                dash: [1, 5], // B / Circle, right bumper
+                pattern: [2], // X / Square
+                debug: [8], // Back / Select
+                aimMode: [11] // Right stick click
+            }
+        },
+        TOUCH: {
+            JOYSTICK_RADIUS: 50, // Canvas pixels from the centre to full tilt
+            DEADZONE: 0.15 // Share of the radius ignored around the centre
         }
     }
 };
@@ -0,0 +1,112 @@
+/**
+ * Director module - paces enemy spawning from a timed wave schedule
+ */
+import { CONFIG } from './config.js';
+import { lerp } from './utils.js';
+
+export class WaveDirector {
+    constructor() {
+        this.time = 0; // ms of run time driving the schedule
+        this.nextEliteTime = CONFIG.WAVES.ELITE_INTERVAL;
+        this.nextBossTime = CONFIG.WAVES.BOSS_INTERVAL;
+        this.events = []; // Special waves spawned during the last update
+    }
+
+    /**
+     * Advance the schedule, retune the enemy manager and spawn special waves
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {EnemyManager} enemyManager - Enemy manager to drive
+     * @param {Player} player - Player instance
+     * @param {World} world - World instance
+     * @returns {Array<string>} Special waves spawned this update ('elite', 'boss')
+     */
+    update(deltaTime, enemyManager, player, world) {
+        this.time += deltaTime;
+        this.events.length = 0;
+
+        this.applySchedule(enemyManager);
+
+        // A wave only counts once something could be placed; otherwise try again next step
+        if (this.time >= this.nextEliteTime) {
+            let spawned = 0;
+            for (let i = 0; i < CONFIG.WAVES.ELITE_COUNT; i++) {
+                if (enemyManager.spawnEnemy(player, world, undefined, { elite: true })) {
+                    spawned++;
+                }
+            }
+            if (spawned > 0) {
+                this.nextEliteTime += CONFIG.WAVES.ELITE_INTERVAL;
+                this.events.push('elite');
+            }
+        }
+
+        if (this.time >= this.nextBossTime && enemyManager.spawnEnemy(player, world, CONFIG.WAVES.BOSS_TYPE)) {
+            this.nextBossTime += CONFIG.WAVES.BOSS_INTERVAL;
+            this.events.push('boss');
+        }
+
+        return this.events;
+    }
+
+    /**
+     * Set spawn rate, cap, archetype mix and health scaling for the current time
+     * @param {EnemyManager} enemyManager - Enemy manager to drive
+     */
+    applySchedule(enemyManager) {
+        const schedule = CONFIG.WAVES.SCHEDULE;
+        let index = 0;
+        while (index < schedule.length - 1 && schedule[index + 1].time <= this.time) {
+            index++;
+        }
+
+        // Blend towards the next keyframe; hold the last one forever
+        const current = schedule[index];
+        const next = schedule[index + 1] || current;
+        const t = next === current ? 0 : (this.time - current.time) / (next.time - current.time);
+
+        enemyManager.spawnRate = lerp(current.spawnRate, next.spawnRate, t);
+        enemyManager.maxEnemies = Math.round(lerp(current.maxEnemies, next.maxEnemies, t));
+        enemyManager.spawnWeights = current.weights;
+        enemyManager.healthMultiplier = 1 + CONFIG.WAVES.HEALTH_SCALING * (this.time / 60000);
+    }
+
+    /**
+     * Capture the schedule position for a saved run
+     * @returns {Object} Plain snapshot
+     */
+    serialize() {
+        return { time: this.time, nextEliteTime: this.nextEliteTime, nextBossTime: this.nextBossTime };
+    }
+
+    /**
+     * Restore the schedule position from a saved run
+     * @param {Object} data - Snapshot from serialize()
+     */
+    restore(data) {
+        this.time = data.time;
+        this.nextEliteTime = data.nextEliteTime;
+        this.nextBossTime = data.nextBossTime;
+    }
+
+    /**
+     * Get the wave number shown in the HUD
+     * @returns {number} Wave number, starting at 1
+     */
+    getWaveNumber() {
+        return Math.floor(this.time / CONFIG.WAVES.WAVE_DURATION) + 1;
+    }
+
+    /**
+     * Get the warning for an elite or boss wave that is about to start
+     * @returns {string|null} Warning text, or null if nothing is imminent
+     */
+    getWarning() {
+        if (this.nextBossTime - this.time <= CONFIG.WAVES.WARNING_TIME) {
+            return 'WARNING: Boss approaching!';
+        }
+        if (this.nextEliteTime - this.time <= CONFIG.WAVES.WARNING_TIME) {
+            return 'WARNING: Elite wave incoming!';
+        }
+        return null;
+    }
+}
@@ -0,0 +1,295 @@
+/**
+ * Effects module - particles and hit feedback
+ *
+ * Particles are pooled and purely cosmetic: they never touch the simulation
+ * and draw from the 'effects' random stream, so they can't shift spawns or
+ * drops. Emitters are named after the moments they mark
+ * (muzzle flash, hit sparks, death burst, XP sparkle, level-up ring) and
+ * take their tuning from CONFIG.EFFECTS. Hit-stop briefly freezes the
+ * simulation to sell heavy impacts.
+ */
+import { COLORS, lerp } from './utils.js';
+import { CONFIG } from './config.js';
+import { Pool } from './pool.js';
+import { getRandom } from './random.js';
+
+/**
+ * One particle: a fading dot ('spark'), an expanding ring ('ring') or a
+ * floating label ('text')
+ */
+export class Particle {
+    /**
+     * (Re)initialise the particle, so pooled instances can be reused
+     * @param {string} kind - 'spark', 'ring' or 'text'
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} velocityX - X speed in pixels per second
+     * @param {number} velocityY - Y speed in pixels per second
+     * @param {number} life - Lifetime in ms
+     * @param {number} size - Diameter (sparks), start radius (rings) or font size (text)
+     * @param {string} color - CSS colour
+     * @param {number|string} [extra] - End radius for rings, label for text
+     */
+    reset(kind, x, y, velocityX, velocityY, life, size, color, extra = null) {
+        this.kind = kind;
+        this.x = x;
+        this.y = y;
+        this.prevX = x; // Position at the previous simulation step, for render interpolation
+        this.prevY = y;
+        this.velocityX = velocityX;
+        this.velocityY = velocityY;
+        this.life = life;
+        this.age = 0;
+        this.size = size;
+        this.color = color;
+        this.endSize = kind === 'ring' ? extra : size;
+        this.text = kind === 'text' ? String(extra) : null;
+    }
+
+    /**
+     * Move and age the particle
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @returns {boolean} False once the particle has expired
+     */
+    update(deltaTime) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.age += deltaTime;
+
+        const seconds = deltaTime / 1000;
+        this.x += this.velocityX * seconds;
+        this.y += this.velocityY * seconds;
+
+        // Sparks slow down as they fly; text keeps drifting upwards
+        if (this.kind === 'spark') {
+            const drag = Math.pow(0.02, seconds);
+            this.velocityX *= drag;
+            this.velocityY *= drag;
+        }
+
+        return this.age < this.life;
+    }
+
+    /**
+     * Render the particle, fading out over its life
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(ctx, alpha) {
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+        const progress = Math.min(1, this.age / this.life);
+
+        ctx.globalAlpha = 1 - progress;
+        switch (this.kind) {
+            case 'ring':
+                ctx.strokeStyle = this.color;
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(x, y, lerp(this.size, this.endSize, progress), 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            case 'text':
+                ctx.fillStyle = this.color;
+                ctx.font = `bold ${this.size}px "Courier New", monospace`;
+                ctx.fillText(this.text, x, y);
+                break;
+            default: {
+                const size = this.size * (1 - progress * 0.5);
+                ctx.fillStyle = this.color;
+                ctx.fillRect(x - size / 2, y - size / 2, size, size);
+            }
+        }
+    }
+}
+
+export class Effects {
+    constructor() {
+        this.pool = new Pool(() => new Particle());
+        this.particles = this.pool.items; // Live particles, recycled through the pool
+        this.enabled = CONFIG.EFFECTS.ENABLED;
+        this.damageNumbers = true; // Floating damage numbers on hits (an option of their own)
+        this.hitStopTimer = 0; // ms of frozen simulation left
+    }
+
+    /**
+     * Turn effects on or off; turning them off clears what is on screen
+     * @param {boolean} enabled - Whether to show effects
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.clear();
+    }
+
+    /**
+     * Show or hide floating damage numbers; ones already on screen fade out as usual
+     * @param {boolean} enabled - Whether to show damage numbers
+     */
+    setDamageNumbers(enabled) {
+        this.damageNumbers = enabled;
+    }
+
+    /**
+     * Remove every particle and cancel hit-stop (e.g. on restart)
+     */
+    clear() {
+        this.pool.releaseAll();
+        this.hitStopTimer = 0;
+    }
+
+    /**
+     * Throw a handful of sparks from a point
+     * @param {Object} emitter - Tuning from CONFIG.EFFECTS, {count, speed, life, size}
+     * @param {number} x - Origin X
+     * @param {number} y - Origin Y
+     * @param {string} color - CSS colour
+     * @param {number} [angle] - Centre of the spray in radians; omit for all directions
+     * @param {number} [spread] - Width of the spray in radians
+     * @param {number} [scale] - Multiplier on the particle count
+     */
+    emit(emitter, x, y, color, angle = 0, spread = Math.PI * 2, scale = 1) {
+        if (!this.enabled) return;
+
+        const random = getRandom('effects');
+        const count = Math.round(emitter.count * scale);
+        for (let i = 0; i < count && this.particles.length < CONFIG.EFFECTS.MAX_PARTICLES; i++) {
+            const direction = angle + (random.next() - 0.5) * spread;
+            const speed = emitter.speed * (0.4 + random.next() * 0.6);
+            const life = emitter.life * (0.7 + random.next() * 0.3);
+            this.pool.acquire('spark', x, y, Math.cos(direction) * speed, Math.sin(direction) * speed,
+                life, emitter.size, color);
+        }
+    }
+
+    /**
+     * Flash at the muzzle when a bolt is fired
+     * @param {number} x - Muzzle X
+     * @param {number} y - Muzzle Y
+     * @param {number} directionX - Normalized X direction of the shot
+     * @param {number} directionY - Normalized Y direction of the shot
+     */
+    muzzleFlash(x, y, directionX, directionY) {
+        this.emit(CONFIG.EFFECTS.MUZZLE_FLASH, x, y, COLORS.PROJECTILE, Math.atan2(directionY, directionX), Math.PI / 3);
+    }
+
+    /**
+     * Sparks and a damage number where an enemy was hit
+     * @param {number} x - Hit X
+     * @param {number} y - Hit Y
+     * @param {number} damage - Damage dealt
+     */
+    hitSparks(x, y, damage) {
+        this.emit(CONFIG.EFFECTS.HIT_SPARKS, x, y, COLORS.SPARK);
+        this.damageNumber(x, y, damage);
+    }
+
+    /**
+     * Float a damage number up from a point
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} damage - Damage dealt
+     */
+    damageNumber(x, y, damage) {
+        if (!this.enabled || !this.damageNumbers || this.particles.length >= CONFIG.EFFECTS.MAX_PARTICLES) return;
+
+        const random = getRandom('effects');
+        this.pool.acquire('text', x + random.float(-6, 6), y, 0, -40, CONFIG.EFFECTS.DAMAGE_NUMBER_LIFE,
+            12, COLORS.DAMAGE_TEXT, Math.max(1, Math.round(damage)));
+    }
+
+    /**
+     * Burst of the enemy's colour when it dies
+     * @param {Enemy} enemy - Enemy that was killed
+     */
+    deathBurst(enemy) {
+        // Bigger enemies burst bigger
+        const scale = enemy.width / CONFIG.ENEMY_TYPES.grunt.size;
+        this.emit(CONFIG.EFFECTS.DEATH_BURST, enemy.x, enemy.y, enemy.definition.color, 0, Math.PI * 2, scale);
+    }
+
+    /**
+     * Twinkle where a pickup was collected
+     * @param {number} x - Pickup X
+     * @param {number} y - Pickup Y
+     * @param {string} color - Pickup colour
+     */
+    sparkle(x, y, color) {
+        this.emit(CONFIG.EFFECTS.XP_SPARKLE, x, y, color);
+    }
+
+    /**
+     * Expanding rings around the player on level-up
+     * @param {number} x - Centre X
+     * @param {number} y - Centre Y
+     */
+    levelUpRings(x, y) {
+        if (!this.enabled) return;
+
+        const ring = CONFIG.EFFECTS.LEVEL_UP_RING;
+        for (let i = 0; i < ring.count; i++) {
+            // Later rings start smaller and last longer, so they trail the first
+            this.pool.acquire('ring', x, y, 0, 0, ring.life * (1 + i * 0.3), ring.size / (i + 1), COLORS.LEVEL_UP, ring.endSize);
+        }
+    }
+
+    /**
+     * Freeze the action for a moment; overlapping requests don't stack
+     * @param {number} duration - ms to freeze
+     */
+    hitStop(duration) {
+        if (!this.enabled) return;
+        this.hitStopTimer = Math.max(this.hitStopTimer, duration);
+    }
+
+    /**
+     * Count down hit-stop
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @returns {boolean} True while the simulation should stay frozen
+     */
+    updateHitStop(deltaTime) {
+        if (this.hitStopTimer <= 0) return false;
+        this.hitStopTimer -= deltaTime;
+        return true;
+    }
+
+    /**
+     * Advance every particle and recycle expired ones
+     * @param {number} deltaTime - Time elapsed since last frame
+     */
+    update(deltaTime) {
+        this.pool.flush();
+
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            if (!this.particles[i].update(deltaTime)) {
+                this.pool.releaseAt(i);
+            }
+        }
+    }
+
+    /**
+     * Render every particle; call inside the camera transform
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(ctx, alpha) {
+        if (this.particles.length === 0) return;
+
+        ctx.textAlign = 'center';
+        for (const particle of this.particles) {
+            particle.render(ctx, alpha);
+        }
+        ctx.globalAlpha = 1;
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Get pool usage for the debug overlay
+     * @returns {Object} {live, free, created, peak}
+     */
+    getPoolStats() {
+        return this.pool.getStats();
+    }
+}
+
+// Shared effects for the whole game
+export const effects = new Effects();
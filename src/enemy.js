@@ -1,26 +1,80 @@
 /**
  * Enemy module - handles enemy entities and AI
  */
-import { COLORS } from './utils.js';
+import { COLORS, lerp } from './utils.js';
 import { CONFIG } from './config.js';
 import { rectanglesIntersect } from './utils.js';
+import { getRandom } from './random.js';
+import { FlowField } from './pathfinding.js';
+import { SpatialHash } from './spatial.js';
+import { Pool } from './pool.js';
+import { Sprite, getFacing } from './sprites.js';
+import { audio } from './audio.js';
+import { effects } from './effects.js';
 
 export class Enemy {
-    constructor(x, y) {
+    /**
+     * @param {number} x - Spawn X
+     * @param {number} y - Spawn Y
+     * @param {string} type - Key into CONFIG.ENEMY_TYPES
+     * @param {Object} [modifiers] - Optional {elite, healthMultiplier}
+     */
+    constructor(x = 0, y = 0, type = 'grunt', modifiers = {}) {
+        this.onDeath = null; // Called with this enemy the moment it is killed
+        this.sprite = new Sprite();
+        this.reset(x, y, type, modifiers);
+    }
+    
+    /**
+     * (Re)initialise the enemy, so pooled instances can be reused
+     * @param {number} x - Spawn X
+     * @param {number} y - Spawn Y
+     * @param {string} type - Key into CONFIG.ENEMY_TYPES
+     * @param {Object} [modifiers] - Optional {elite, healthMultiplier}
+     */
+    reset(x, y, type = 'grunt', modifiers = {}) {
+        const definition = CONFIG.ENEMY_TYPES[type];
+        const elite = !!modifiers.elite;
+        const healthMultiplier = (modifiers.healthMultiplier || 1) * (elite ? CONFIG.ENEMY.ELITE.HEALTH : 1);
+        
+        this.type = type;
+        this.definition = definition;
+        this.elite = elite;
         this.x = x;
         this.y = y;
-        this.width = 20;
-        this.height = 20;
-        this.speed = CONFIG.ENEMY.SPEED;
-        this.health = CONFIG.ENEMY.HEALTH;
-        this.maxHealth = CONFIG.ENEMY.HEALTH;
+        this.prevX = x; // Position at the previous simulation step, for render interpolation
+        this.prevY = y;
+        this.width = definition.size * (elite ? CONFIG.ENEMY.ELITE.SIZE : 1);
+        this.height = this.width;
+        this.speed = definition.speed * (elite ? CONFIG.ENEMY.ELITE.SPEED : 1);
+        this.health = Math.round(definition.health * healthMultiplier);
+        this.maxHealth = this.health;
+        this.contactDamage = definition.contactDamage;
+        this.xp = definition.xp * (elite ? CONFIG.ENEMY.ELITE.XP : 1);
         this.active = true;
         
+        // Animation: the sheet named after the archetype, if there is one
+        this.sprite.setSheet(type);
+        this.facing = 'down';
+        this.hitFlashTimer = 0; // ms left showing white after a hit
+        
         // Simple AI state
         this.targetX = x;
         this.targetY = y;
         this.retargetTimer = 0;
         this.retargetInterval = 2000; // Retarget every 2 seconds
+        
+        // Behaviour state for chargers, ranged enemies and bosses
+        this.state = 'chase';
+        this.stateTimer = 0;
+        this.dashX = 0;
+        this.dashY = 0;
+        this.fireTimer = 0;
+        this.burstAngle = 0;
+        
+        // Navigation: steer straight at the player only with a clear view
+        this.canSeePlayer = false;
+        this.waypoint = null;
     }
     
     /**
@@ -28,10 +82,66 @@ export class Enemy {
      * @param {number} deltaTime - Time elapsed since last frame
      * @param {Player} player - Player instance
      * @param {World} world - World instance
+     * @param {EnemyManager} manager - Owning manager, for firing projectiles
      */
-    update(deltaTime, player, world) {
+    update(deltaTime, player, world, manager) {
         if (!this.active) return;
         
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.hitFlashTimer = Math.max(0, this.hitFlashTimer - deltaTime);
+        
+        // Damaging terrain hurts enemies too, and can finish them off (quietly: it ticks every step)
+        const terrain = world.getTerrainAt(this.x, this.y);
+        if (terrain.damage > 0 && this.takeDamage(terrain.damage * (deltaTime / 1000), false)) {
+            return;
+        }
+        
+        this.canSeePlayer = world.hasLineOfSight(this.x, this.y, player.x, player.y);
+        this.waypoint = this.canSeePlayer ? null : manager.flowField.getNextWaypoint(this.x, this.y);
+        
+        switch (this.definition.behavior) {
+            case 'charger':
+                this.updateCharger(deltaTime, player, world);
+                break;
+            case 'ranged':
+                this.updateRanged(deltaTime, player, world, manager);
+                break;
+            case 'boss':
+                this.updateBoss(deltaTime, player, world, manager);
+                break;
+            default:
+                this.updateChase(deltaTime, player, world);
+        }
+        
+        this.updateAnimation(deltaTime);
+    }
+    
+    /**
+     * Pick the clip for how the enemy moved this step and advance it
+     * @param {number} deltaTime - Time elapsed since last frame
+     */
+    updateAnimation(deltaTime) {
+        const moveX = this.x - this.prevX;
+        const moveY = this.y - this.prevY;
+        this.facing = getFacing(moveX, moveY, this.facing);
+        
+        // A hit plays through before walking or idling takes over again
+        if (!this.sprite.isPlaying('hit')) {
+            this.sprite.play(moveX !== 0 || moveY !== 0 ? `walk-${this.facing}` : 'idle');
+        }
+        this.sprite.update(deltaTime);
+    }
+    
+    /**
+     * Drift towards the player with some randomness
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {Player} player - Player instance
+     * @param {World} world - World instance
+     */
+    updateChase(deltaTime, player, world) {
+        if (this.followPath(deltaTime, world)) return;
+        
         this.retargetTimer += deltaTime;
         
         // Simple AI: move towards player with some randomness
@@ -42,8 +152,9 @@ export class Enemy {
             
             if (distance > 0) {
                 // Add some randomness to movement
-                const randomOffsetX = (Math.random() - 0.5) * 50;
-                const randomOffsetY = (Math.random() - 0.5) * 50;
+                const random = getRandom('enemy-ai');
+                const randomOffsetX = (random.next() - 0.5) * 50;
+                const randomOffsetY = (random.next() - 0.5) * 50;
                 
                 this.targetX = player.x + randomOffsetX;
                 this.targetY = player.y + randomOffsetY;
@@ -52,50 +163,245 @@ export class Enemy {
             this.retargetTimer = 0;
         }
         
-        // Move towards target
-        const moveDistance = this.speed * (deltaTime / 1000);
-        const dx = this.targetX - this.x;
-        const dy = this.targetY - this.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+        this.moveTowards(this.targetX, this.targetY, this.speed, deltaTime, world);
+    }
+    
+    /**
+     * Chase, then stop and wind up before dashing in a straight line
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {Player} player - Player instance
+     * @param {World} world - World instance
+     */
+    updateCharger(deltaTime, player, world) {
+        const definition = this.definition;
+        this.stateTimer -= deltaTime;
         
-        if (distance > 5) { // Don't move if very close to target
-            const dirX = dx / distance;
-            const dirY = dy / distance;
-            
-            const newX = this.x + dirX * moveDistance;
-            const newY = this.y + dirY * moveDistance;
-            
-            // Check collisions
-            if (world.canMoveTo(newX, this.y, this.width, this.height)) {
-                this.x = newX;
+        switch (this.state) {
+            case 'windup':
+                // Stand still; the dash direction is locked when the windup ends
+                if (this.stateTimer <= 0) {
+                    const dx = player.x - this.x;
+                    const dy = player.y - this.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+                    this.dashX = dx / distance;
+                    this.dashY = dy / distance;
+                    this.state = 'dash';
+                    this.stateTimer = definition.dashTime;
+                }
+                break;
+            case 'dash': {
+                const moveDistance = definition.dashSpeed * (deltaTime / 1000);
+                const moved = this.moveBy(this.dashX * moveDistance, this.dashY * moveDistance, world);
+                
+                // A wall ends the dash early
+                if (this.stateTimer <= 0 || !moved) {
+                    this.state = 'recover';
+                    this.stateTimer = definition.recoverTime;
+                }
+                break;
+            }
+            case 'recover':
+                if (this.stateTimer <= 0) {
+                    this.state = 'chase';
+                }
+                break;
+            default: {
+                if (this.followPath(deltaTime, world)) break;
+                
+                const dx = player.x - this.x;
+                const dy = player.y - this.y;
+                if (this.canSeePlayer && dx * dx + dy * dy <= definition.chargeRange * definition.chargeRange) {
+                    this.state = 'windup';
+                    this.stateTimer = definition.windupTime;
+                } else {
+                    this.moveTowards(player.x, player.y, this.speed, deltaTime, world);
+                }
             }
-            if (world.canMoveTo(this.x, newY, this.width, this.height)) {
-                this.y = newY;
+        }
+    }
+    
+    /**
+     * Keep a preferred distance from the player and fire projectiles at them
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {Player} player - Player instance
+     * @param {World} world - World instance
+     * @param {EnemyManager} manager - Owning manager, for firing projectiles
+     */
+    updateRanged(deltaTime, player, world, manager) {
+        const definition = this.definition;
+        this.fireTimer += deltaTime;
+        
+        // Walk around walls until there is a clear shot
+        if (this.followPath(deltaTime, world)) return;
+        
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        // Close in when too far, back off when too close
+        const slack = 30;
+        if (distance > definition.preferredDistance + slack) {
+            this.moveTowards(player.x, player.y, this.speed, deltaTime, world);
+        } else if (distance < definition.preferredDistance - slack && distance > 0) {
+            this.moveTowards(this.x - dx, this.y - dy, this.speed, deltaTime, world);
+        }
+        
+        if (this.canSeePlayer && this.fireTimer >= definition.fireInterval &&
+            distance <= definition.fireRange && distance > 0) {
+            manager.fireEnemyProjectile(this, dx / distance, dy / distance);
+            this.fireTimer = 0;
+        }
+    }
+    
+    /**
+     * Lumber towards the player, firing radial volleys of projectiles
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {Player} player - Player instance
+     * @param {World} world - World instance
+     * @param {EnemyManager} manager - Owning manager, for firing projectiles
+     */
+    updateBoss(deltaTime, player, world, manager) {
+        const definition = this.definition;
+        if (!this.followPath(deltaTime, world)) {
+            this.moveTowards(player.x, player.y, this.speed, deltaTime, world);
+        }
+        
+        this.fireTimer += deltaTime;
+        if (this.fireTimer >= definition.burstInterval) {
+            for (let i = 0; i < definition.burstCount; i++) {
+                const angle = this.burstAngle + (Math.PI * 2 * i) / definition.burstCount;
+                manager.fireEnemyProjectile(this, Math.cos(angle), Math.sin(angle));
             }
+            
+            // Rotate each volley by half a gap so there is no safe spot
+            this.burstAngle += Math.PI / definition.burstCount;
+            this.fireTimer = 0;
         }
     }
     
     /**
-     * Take damage
+     * Walk along the flow field when the player is out of sight
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {World} world - World instance
+     * @returns {boolean} True if the enemy followed the path this step
+     */
+    followPath(deltaTime, world) {
+        if (this.canSeePlayer || !this.waypoint) return false;
+        
+        this.moveTowards(this.waypoint.x, this.waypoint.y, this.speed, deltaTime, world);
+        
+        // Pick a fresh chase target as soon as the player comes into view
+        this.retargetTimer = this.retargetInterval;
+        return true;
+    }
+    
+    /**
+     * Step towards a point, stopping on whichever axis is blocked
+     * @param {number} targetX - Target X
+     * @param {number} targetY - Target Y
+     * @param {number} speed - Speed in pixels per second
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {World} world - World instance
+     */
+    moveTowards(targetX, targetY, speed, deltaTime, world) {
+        const moveDistance = speed * (deltaTime / 1000);
+        const dx = targetX - this.x;
+        const dy = targetY - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        if (distance > 5) { // Don't move if very close to target
+            this.moveBy(dx / distance * moveDistance, dy / distance * moveDistance, world);
+        }
+    }
+    
+    /**
+     * Move by an offset, stopping on whichever axis is blocked
+     * @param {number} dx - X offset
+     * @param {number} dy - Y offset
+     * @param {World} world - World instance
+     * @returns {boolean} True if the enemy moved on at least one axis
+     */
+    moveBy(dx, dy, world) {
+        let moved = false;
+        
+        // Slow terrain scales every kind of movement
+        const slow = world.getTerrainAt(this.x, this.y).speed;
+        dx *= slow;
+        dy *= slow;
+        
+        if (world.canMoveTo(this.x + dx, this.y, this.width, this.height)) {
+            this.x += dx;
+            moved = true;
+        }
+        if (world.canMoveTo(this.x, this.y + dy, this.width, this.height)) {
+            this.y += dy;
+            moved = true;
+        }
+        
+        return moved;
+    }
+    
+    /**
+     * Take damage, firing the death event if this kills the enemy
      * @param {number} damage - Damage amount
+     * @param {boolean} [showHit] - Flash and show sparks and a damage number
+     * @returns {boolean} True if this hit killed the enemy
      */
-    takeDamage(damage) {
+    takeDamage(damage, showHit = true) {
+        if (!this.active) return false;
+        
         this.health -= damage;
-        if (this.health <= 0) {
-            this.active = false;
+        if (showHit) {
+            this.hitFlashTimer = CONFIG.EFFECTS.HIT_FLASH_TIME;
+            effects.hitSparks(this.x, this.y - this.height / 2, damage);
+        }
+        if (this.health > 0) {
+            // Silent terrain ticks land every step and would keep restarting the clip
+            if (showHit) {
+                this.sprite.play('hit', true);
+            }
+            return false;
         }
+        
+        this.active = false;
+        if (this.onDeath) {
+            this.onDeath(this);
+        }
+        return true;
     }
     
     /**
      * Render the enemy
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         if (!this.active) return;
         
-        // Draw enemy body
-        ctx.fillStyle = COLORS.ENEMY;
-        ctx.fillRect(this.x - this.width/2, this.y - this.height/2, this.width, this.height);
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+        
+        // Draw enemy body from its sprite sheet, or as a shape; chargers flash while winding up
+        const flashing = this.state === 'windup' && Math.floor(this.stateTimer / 100) % 2 === 0;
+        if (!this.sprite.draw(ctx, x, y) || flashing) {
+            ctx.fillStyle = flashing ? COLORS.UI_TEXT : this.definition.color;
+            this.drawShape(ctx, x, y);
+        }
+        
+        // Tint white for a moment after being hit
+        if (this.hitFlashTimer > 0 && effects.enabled) {
+            ctx.globalAlpha = 0.75;
+            ctx.fillStyle = COLORS.UI_TEXT;
+            this.drawShape(ctx, x, y);
+            ctx.globalAlpha = 1;
+        }
+        
+        // Elites get a gold outline
+        if (this.elite) {
+            ctx.strokeStyle = COLORS.ELITE;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x - this.width/2 - 2, y - this.height/2 - 2, this.width + 4, this.height + 4);
+        }
         
         // Draw health bar
         const healthBarWidth = this.width;
@@ -105,8 +411,8 @@ export class Enemy {
         // Health bar background
         ctx.fillStyle = '#333';
         ctx.fillRect(
-            this.x - healthBarWidth/2, 
-            this.y - this.height/2 - 8, 
+            x - healthBarWidth/2, 
+            y - this.height/2 - 8, 
             healthBarWidth, 
             healthBarHeight
         );
@@ -114,13 +420,50 @@ export class Enemy {
         // Health bar fill
         ctx.fillStyle = healthPercent > 0.5 ? '#4CAF50' : '#F44336';
         ctx.fillRect(
-            this.x - healthBarWidth/2, 
-            this.y - this.height/2 - 8, 
+            x - healthBarWidth/2, 
+            y - this.height/2 - 8, 
             healthBarWidth * healthPercent, 
             healthBarHeight
         );
     }
     
+    /**
+     * Draw the body outline for this archetype's shape
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     */
+    drawShape(ctx, x, y) {
+        const half = this.width / 2;
+        
+        switch (this.definition.shape) {
+            case 'circle':
+                ctx.beginPath();
+                ctx.arc(x, y, half, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            case 'triangle':
+                ctx.beginPath();
+                ctx.moveTo(x, y - half);
+                ctx.lineTo(x + half, y + half);
+                ctx.lineTo(x - half, y + half);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            case 'diamond':
+                ctx.beginPath();
+                ctx.moveTo(x, y - half);
+                ctx.lineTo(x + half, y);
+                ctx.lineTo(x, y + half);
+                ctx.lineTo(x - half, y);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            default:
+                ctx.fillRect(x - half, y - half, this.width, this.height);
+        }
+    }
+    
     /**
      * Get enemy bounds for collision detection
      * @returns {Object} Bounds object
@@ -149,12 +492,118 @@ export class Enemy {
     }
 }
 
+/**
+ * Projectile fired by ranged enemies; only hurts the player
+ */
+export class EnemyProjectile {
+    constructor(x = 0, y = 0, directionX = 1, directionY = 0, definition = CONFIG.ENEMY_TYPES.ranged) {
+        this.sprite = new Sprite('enemy-shot');
+        this.reset(x, y, directionX, directionY, definition);
+    }
+    
+    /**
+     * (Re)initialise the projectile, so pooled instances can be reused
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} directionX - Normalized X direction
+     * @param {number} directionY - Normalized Y direction
+     * @param {Object} definition - Shooter's archetype, for speed, damage and range
+     */
+    reset(x, y, directionX, directionY, definition) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x; // Position at the previous simulation step, for render interpolation
+        this.prevY = y;
+        this.originX = x; // Where it was fired from; that tile never blocks it
+        this.originY = y;
+        this.directionX = directionX;
+        this.directionY = directionY;
+        this.speed = definition.projectileSpeed;
+        this.damage = definition.projectileDamage;
+        this.range = definition.projectileRange;
+        this.distanceTraveled = 0;
+        this.radius = 4;
+        this.active = true;
+        this.sprite.play('fly', true);
+    }
+    
+    /**
+     * Move the projectile and expire it on blocking terrain or at max range
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {World} world - World instance
+     */
+    update(deltaTime, world) {
+        if (!this.active) return;
+        
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
+        const moveDistance = this.speed * (deltaTime / 1000);
+        this.x += this.directionX * moveDistance;
+        this.y += this.directionY * moveDistance;
+        this.distanceTraveled += moveDistance;
+        this.sprite.update(deltaTime);
+        
+        if (this.distanceTraveled >= this.range ||
+            world.blocksProjectile(this.x, this.y, this.radius * 2, this.damage, this.originX, this.originY)) {
+            this.active = false;
+        }
+    }
+    
+    /**
+     * Render the projectile
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(ctx, alpha = 1) {
+        if (!this.active) return;
+        
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+        
+        if (this.sprite.draw(ctx, x, y, Math.atan2(this.directionY, this.directionX))) return;
+        
+        ctx.fillStyle = COLORS.ENEMY_PROJECTILE;
+        ctx.beginPath();
+        ctx.arc(x, y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    /**
+     * Get projectile bounds for collision detection
+     * @returns {Object} Bounds object with x, y, width, height
+     */
+    getBounds() {
+        return {
+            x: this.x - this.radius,
+            y: this.y - this.radius,
+            width: this.radius * 2,
+            height: this.radius * 2
+        };
+    }
+}
+
 export class EnemyManager {
     constructor() {
-        this.enemies = [];
+        this.enemyPool = new Pool(() => {
+            const enemy = new Enemy();
+            enemy.onDeath = (dead) => this.onEnemyKilled(dead);
+            return enemy;
+        });
+        this.projectilePool = new Pool(() => new EnemyProjectile());
+        this.enemies = this.enemyPool.items; // Live enemies, recycled through the pool
+        this.projectiles = this.projectilePool.items; // Fired by ranged enemies
+        this.onKill = null; // Set by the game; called with each enemy as it dies
+        this.flowField = new FlowField(); // Paths towards the player around walls
+        this.spatialIndex = new SpatialHash(); // Enemies by position, rebuilt every step
+        this.nearby = []; // Scratch array for spatial queries
         this.spawnTimer = 0;
-        this.spawnRate = CONFIG.ENEMY.SPAWN_RATE;
-        this.maxEnemies = CONFIG.ENEMY.MAX_ENEMIES;
+        
+        // Spawn pacing, set every step by the WaveDirector
+        this.spawnRate = 0;
+        this.maxEnemies = 0;
+        this.spawnWeights = {};
+        this.healthMultiplier = 1;
     }
     
     /**
@@ -166,8 +615,15 @@ export class EnemyManager {
     update(deltaTime, player, world) {
         this.spawnTimer += deltaTime;
         
+        // Last step's dead are no longer referenced; let the pools reuse them
+        this.enemyPool.flush();
+        this.projectilePool.flush();
+        
+        // Only rebuilt when the player steps onto a new tile
+        this.flowField.update(world, player.x, player.y);
+        
         // Spawn new enemies
-        if (this.spawnTimer >= 1000 / this.spawnRate && this.enemies.length < this.maxEnemies) {
+        if (this.spawnRate > 0 && this.spawnTimer >= 1000 / this.spawnRate && this.enemies.length < this.maxEnemies) {
             this.spawnEnemy(player, world);
             this.spawnTimer = 0;
         }
@@ -175,45 +631,168 @@ export class EnemyManager {
         // Update existing enemies
         for (let i = this.enemies.length - 1; i >= 0; i--) {
             const enemy = this.enemies[i];
-            enemy.update(deltaTime, player, world);
+            enemy.update(deltaTime, player, world, this);
             
-            // Remove dead enemies
+            // Recycle dead enemies
             if (!enemy.active) {
-                this.enemies.splice(i, 1);
+                this.enemyPool.releaseAt(i);
+                this.splitEnemy(enemy, world);
+            }
+        }
+        
+        // Index the survivors for this step's collision and targeting queries
+        this.spatialIndex.build(this.enemies);
+        this.separateEnemies(world);
+        
+        // Update enemy projectiles
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            projectile.update(deltaTime, world);
+            
+            if (projectile.active && rectanglesIntersect(projectile.getBounds(), player.getBounds())) {
+                player.takeDamage(projectile.damage, projectile.x, projectile.y);
+                projectile.active = false;
+            }
+            
+            if (!projectile.active) {
+                this.projectilePool.releaseAt(i);
             }
         }
         
         // Handle projectile collisions
-        this.handleProjectileCollisions(player.weaponSystem.getProjectiles());
+        this.handleProjectileCollisions(player.weapons.getProjectiles());
+        
+        // Handle enemies touching the player
+        this.handlePlayerCollisions(player);
     }
-      /**
+    /**
      * Spawn a new enemy at a safe distance from the player
      * @param {Player} player - Player instance
      * @param {World} world - World instance
+     * @param {string} [type] - Archetype; rolled from the spawn weights if omitted
+     * @param {Object} [modifiers] - Extra Enemy modifiers, e.g. {elite: true}
+     * @returns {Enemy|null} The spawned enemy, or null if no valid spot was found
      */
-    spawnEnemy(player, world) {
+    spawnEnemy(player, world, type, modifiers = {}) {
+        const random = getRandom('spawn');
+        type = type || random.pickWeighted(this.spawnWeights);
         let attempts = 0;
         const maxAttempts = 50;
         
+        const zones = world.spawnZones;
+        
         while (attempts < maxAttempts) {
-            // Spawn enemies outside the screen but not too far
-            const angle = Math.random() * Math.PI * 2;
-            const distance = CONFIG.ENEMY.SPAWN_DISTANCE_MIN + 
-                            Math.random() * (CONFIG.ENEMY.SPAWN_DISTANCE_MAX - CONFIG.ENEMY.SPAWN_DISTANCE_MIN);
+            let x;
+            let y;
             
-            const x = player.x + Math.cos(angle) * distance;
-            const y = player.y + Math.sin(angle) * distance;
+            // Maps with spawn zones use them first; fall back to the ring if the player is camping them
+            if (zones.length > 0 && attempts < maxAttempts / 2) {
+                const zone = random.pick(zones);
+                x = zone.x + random.next() * zone.width;
+                y = zone.y + random.next() * zone.height;
+                
+                const dx = x - player.x;
+                const dy = y - player.y;
+                if (dx * dx + dy * dy < CONFIG.ENEMY.SPAWN_DISTANCE_MIN * CONFIG.ENEMY.SPAWN_DISTANCE_MIN) {
+                    attempts++;
+                    continue;
+                }
+            } else {
+                // Spawn enemies outside the screen but not too far
+                const angle = random.next() * Math.PI * 2;
+                const distance = CONFIG.ENEMY.SPAWN_DISTANCE_MIN + 
+                                random.next() * (CONFIG.ENEMY.SPAWN_DISTANCE_MAX - CONFIG.ENEMY.SPAWN_DISTANCE_MIN);
+                
+                x = player.x + Math.cos(angle) * distance;
+                y = player.y + Math.sin(angle) * distance;
+            }
             
             // Check if spawn position is valid
-            if (world.canMoveTo(x, y, 20, 20)) {
-                this.enemies.push(new Enemy(x, y));
-                break;
+            const size = CONFIG.ENEMY_TYPES[type].size * (modifiers.elite ? CONFIG.ENEMY.ELITE.SIZE : 1);
+            if (world.canMoveTo(x, y, size, size)) {
+                return this.enemyPool.acquire(x, y, type, { healthMultiplier: this.healthMultiplier, ...modifiers });
             }
             
             attempts++;
         }
+        
+        return null;
+    }
+    
+    /**
+     * Report a kill as it happens, whichever weapon dealt it
+     * @param {Enemy} enemy - Enemy that was just killed
+     */
+    onEnemyKilled(enemy) {
+        if (this.onKill) {
+            this.onKill(enemy);
+        }
     }
-      /**
+    
+    /**
+     * Spawn the children of an enemy that breaks apart on death
+     * @param {Enemy} enemy - Enemy that just died
+     * @param {World} world - World instance
+     */
+    splitEnemy(enemy, world) {
+        const { splitInto, splitCount } = enemy.definition;
+        if (!splitInto) return;
+        
+        // Scatter the children evenly around the parent
+        const offset = enemy.width / 2;
+        for (let i = 0; i < splitCount; i++) {
+            const angle = (Math.PI * 2 * i) / splitCount;
+            const size = CONFIG.ENEMY_TYPES[splitInto].size;
+            let x = enemy.x + Math.cos(angle) * offset;
+            let y = enemy.y + Math.sin(angle) * offset;
+            
+            if (!world.canMoveTo(x, y, size, size)) {
+                x = enemy.x;
+                y = enemy.y;
+            }
+            this.enemyPool.acquire(x, y, splitInto, { healthMultiplier: this.healthMultiplier });
+        }
+    }
+    
+    /**
+     * Fire a projectile from a ranged enemy
+     * @param {Enemy} enemy - Shooter
+     * @param {number} directionX - Normalized X direction
+     * @param {number} directionY - Normalized Y direction
+     */
+    fireEnemyProjectile(enemy, directionX, directionY) {
+        this.projectilePool.acquire(enemy.x, enemy.y, directionX, directionY, enemy.definition);
+    }
+    
+    /**
+     * Nudge overlapping enemies apart so crowds spread out instead of stacking
+     * @param {World} world - World instance
+     */
+    separateEnemies(world) {
+        for (const enemy of this.enemies) {
+            const neighbours = this.spatialIndex.queryRadius(enemy.x, enemy.y, enemy.width / 2, this.nearby);
+            
+            for (const other of neighbours) {
+                if (other === enemy) continue;
+                
+                const dx = enemy.x - other.x;
+                const dy = enemy.y - other.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                const overlap = (enemy.width + other.width) / 2 - distance;
+                if (overlap <= 0) continue;
+                
+                // Enemies on the exact same spot split along an arbitrary axis
+                const push = overlap * CONFIG.ENEMY.SEPARATION;
+                if (distance > 0) {
+                    enemy.moveBy(dx / distance * push, dy / distance * push, world);
+                } else {
+                    enemy.moveBy(push, 0, world);
+                }
+            }
+        }
+    }
+    
+    /**
      * Handle collisions between projectiles and enemies
      * @param {Array} projectiles - Array of projectiles
      */
@@ -221,14 +800,21 @@ export class EnemyManager {
         for (const projectile of projectiles) {
             if (!projectile.active) continue;
             
-            for (const enemy of this.enemies) {
-                if (!enemy.active) continue;
-                
+            const candidates = this.spatialIndex.query(
+                projectile.x - projectile.radius, projectile.y - projectile.radius,
+                projectile.x + projectile.radius, projectile.y + projectile.radius,
+                this.nearby
+            );
+            
+            for (const enemy of candidates) {
                 // Skip if this projectile already hit this enemy
                 if (projectile.hitEnemies.has(enemy)) continue;
                 
                 if (enemy.checkProjectileCollision(projectile)) {
-                    enemy.takeDamage(projectile.damage);
+                    // Kills are voiced by the death sound instead
+                    if (!enemy.takeDamage(projectile.damage)) {
+                        audio.play('hit');
+                    }
                     projectile.hitEnemies.add(enemy);
                     
                     // If projectile doesn't pierce, deactivate it
@@ -241,28 +827,102 @@ export class EnemyManager {
         }
     }
     
+    /**
+     * Apply contact damage to the player from any touching enemy
+     * @param {Player} player - Player instance
+     */
+    handlePlayerCollisions(player) {
+        // Player ignores hits while invulnerable
+        if (player.isInvulnerable() || !player.isAlive()) return;
+        
+        const playerBounds = player.getBounds();
+        
+        for (const enemy of this.enemies) {
+            if (!enemy.active) continue;
+            
+            if (rectanglesIntersect(enemy.getBounds(), playerBounds)) {
+                player.takeDamage(enemy.contactDamage, enemy.x, enemy.y);
+                break;
+            }
+        }
+    }
+    
     /**
      * Render all enemies
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         for (const enemy of this.enemies) {
-            enemy.render(ctx);
+            enemy.render(ctx, alpha);
+        }
+        
+        for (const projectile of this.projectiles) {
+            projectile.render(ctx, alpha);
         }
     }
     
     /**
-     * Get all active enemies
-     * @returns {Array} Array of active enemies
+     * Get the live enemies. The array is reused between steps and may hold
+     * enemies killed since the last update, so check active before use.
+     * @returns {Array} Live enemies
      */
     getEnemies() {
-        return this.enemies.filter(e => e.active);
+        return this.enemies;
     }
     
     /**
      * Clear all enemies
      */
     clearEnemies() {
-        this.enemies = [];
+        this.enemyPool.releaseAll();
+        this.projectilePool.releaseAll();
+    }
+    
+    /**
+     * Capture living enemies for a saved run; shots in flight are not kept
+     * @returns {Object} Plain snapshot
+     */
+    serialize() {
+        return {
+            spawnTimer: this.spawnTimer,
+            enemies: this.enemies.filter(e => e.active).map(e => ({
+                type: e.type,
+                elite: e.elite,
+                x: e.x,
+                y: e.y,
+                health: e.health,
+                maxHealth: e.maxHealth
+            }))
+        };
+    }
+    
+    /**
+     * Replace all enemies with those from a saved run
+     * @param {Object} data - Snapshot from serialize()
+     */
+    restore(data) {
+        this.clearEnemies();
+        this.spawnTimer = data.spawnTimer;
+        
+        for (const saved of data.enemies) {
+            // Archetypes removed since the save are dropped
+            if (!CONFIG.ENEMY_TYPES[saved.type]) continue;
+            
+            const enemy = this.enemyPool.acquire(saved.x, saved.y, saved.type, { elite: saved.elite });
+            enemy.health = saved.health;
+            enemy.maxHealth = saved.maxHealth;
+        }
+    }
+    
+    /**
+     * Get pool usage for the debug overlay
+     * @returns {Object} Stats for the enemy and enemy projectile pools
+     */
+    getPoolStats() {
+        return {
+            enemies: this.enemyPool.getStats(),
+            enemyProjectiles: this.projectilePool.getStats()
+        };
     }
 }
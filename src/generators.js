@@ -0,0 +1,325 @@
+/**
+ * Generators module - pluggable procedural map generators
+ *
+ * A generator is a function (width, height, random) returning a 2D array of
+ * tile types, walled in along the border. World picks one by the id in
+ * CONFIG.WORLD.GENERATOR, scatters terrain with addTerrain(), then runs
+ * connectMap() so the player start is clear and every walkable tile can be
+ * reached from it.
+ */
+import { TILE_TYPES, TILE_DEFS } from './utils.js';
+import { CONFIG } from './config.js';
+
+/**
+ * Create a map of one tile type
+ * @param {number} width - Width in tiles
+ * @param {number} height - Height in tiles
+ * @param {number} type - Tile type to fill with
+ * @returns {Array<Array<number>>} 2D array of tile types
+ */
+export function createTiles(width, height, type) {
+    return Array.from({ length: height }, () => new Array(width).fill(type));
+}
+
+/**
+ * Check whether a tile lies on the map border
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {number} width - Width in tiles
+ * @param {number} height - Height in tiles
+ * @returns {boolean} True on the outer ring
+ */
+function isBorder(x, y, width, height) {
+    return x === 0 || y === 0 || x === width - 1 || y === height - 1;
+}
+
+/**
+ * Original generator: open floor with single walls scattered at OBSTACLE_DENSITY
+ * @param {number} width - Width in tiles
+ * @param {number} height - Height in tiles
+ * @param {Random} random - World random stream
+ * @returns {Array<Array<number>>} 2D array of tile types
+ */
+function generateScatter(width, height, random) {
+    const tiles = createTiles(width, height, TILE_TYPES.FLOOR);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (isBorder(x, y, width, height) || random.next() < CONFIG.WORLD.OBSTACLE_DENSITY) {
+                tiles[y][x] = TILE_TYPES.WALL;
+            }
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Cellular automata caves: random noise smoothed by the birth/survival rule
+ * @param {number} width - Width in tiles
+ * @param {number} height - Height in tiles
+ * @param {Random} random - World random stream
+ * @returns {Array<Array<number>>} 2D array of tile types
+ */
+function generateCaves(width, height, random) {
+    const { FILL, STEPS } = CONFIG.WORLD.CAVES;
+    const tiles = createTiles(width, height, TILE_TYPES.FLOOR);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (isBorder(x, y, width, height) || random.next() < FILL) {
+                tiles[y][x] = TILE_TYPES.WALL;
+            }
+        }
+    }
+
+    return smoothCaves(tiles, STEPS);
+}
+
+/**
+ * Run the cave birth/survival rule over wall noise. The outer ring of the
+ * result is always wall, and after n steps a tile is only exact if it is at
+ * least n tiles from the edge, so callers working on part of a larger map
+ * pad their input by the step count.
+ * @param {Array<Array<number>>} tiles - 2D array of FLOOR/WALL noise
+ * @param {number} steps - Smoothing passes
+ * @returns {Array<Array<number>>} Smoothed 2D array of tile types
+ */
+export function smoothCaves(tiles, steps) {
+    const { BIRTH_LIMIT, SURVIVAL_LIMIT } = CONFIG.WORLD.CAVES;
+    const height = tiles.length;
+    const width = tiles[0].length;
+
+    for (let step = 0; step < steps; step++) {
+        const next = createTiles(width, height, TILE_TYPES.WALL);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                // Count walls among the 8 neighbours
+                let walls = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if ((dx !== 0 || dy !== 0) && tiles[y + dy][x + dx] === TILE_TYPES.WALL) walls++;
+                    }
+                }
+                const limit = tiles[y][x] === TILE_TYPES.WALL ? SURVIVAL_LIMIT : BIRTH_LIMIT;
+                next[y][x] = walls >= limit ? TILE_TYPES.WALL : TILE_TYPES.FLOOR;
+            }
+        }
+        tiles = next;
+    }
+
+    return tiles;
+}
+
+/**
+ * Rooms and corridors: non-overlapping rectangular rooms, each joined to the
+ * previous one by an L-shaped corridor
+ * @param {number} width - Width in tiles
+ * @param {number} height - Height in tiles
+ * @param {Random} random - World random stream
+ * @returns {Array<Array<number>>} 2D array of tile types
+ */
+function generateRooms(width, height, random) {
+    const { COUNT, MIN_SIZE, MAX_SIZE, CORRIDOR_WIDTH, ATTEMPTS } = CONFIG.WORLD.ROOMS;
+    const tiles = createTiles(width, height, TILE_TYPES.WALL);
+    const rooms = [];
+
+    const carve = (left, top, right, bottom) => {
+        for (let y = Math.max(1, top); y <= Math.min(height - 2, bottom); y++) {
+            for (let x = Math.max(1, left); x <= Math.min(width - 2, right); x++) {
+                tiles[y][x] = TILE_TYPES.FLOOR;
+            }
+        }
+    };
+
+    for (let attempt = 0; attempt < ATTEMPTS && rooms.length < COUNT; attempt++) {
+        const roomWidth = MIN_SIZE + Math.floor(random.next() * (MAX_SIZE - MIN_SIZE + 1));
+        const roomHeight = MIN_SIZE + Math.floor(random.next() * (MAX_SIZE - MIN_SIZE + 1));
+        const left = 1 + Math.floor(random.next() * (width - roomWidth - 2));
+        const top = 1 + Math.floor(random.next() * (height - roomHeight - 2));
+        const room = { left, top, right: left + roomWidth - 1, bottom: top + roomHeight - 1 };
+
+        // Keep a wall between rooms
+        const overlaps = rooms.some(other =>
+            room.left <= other.right + 1 && room.right >= other.left - 1 &&
+            room.top <= other.bottom + 1 && room.bottom >= other.top - 1
+        );
+        if (overlaps) continue;
+
+        carve(room.left, room.top, room.right, room.bottom);
+
+        const previous = rooms[rooms.length - 1];
+        if (previous) {
+            const x1 = Math.floor((previous.left + previous.right) / 2);
+            const y1 = Math.floor((previous.top + previous.bottom) / 2);
+            const x2 = Math.floor((room.left + room.right) / 2);
+            const y2 = Math.floor((room.top + room.bottom) / 2);
+            const half = CORRIDOR_WIDTH - 1;
+            // Horizontal then vertical, or the other way round
+            if (random.next() < 0.5) {
+                carve(Math.min(x1, x2), y1, Math.max(x1, x2) + half, y1 + half);
+                carve(x2, Math.min(y1, y2), x2 + half, Math.max(y1, y2) + half);
+            } else {
+                carve(x1, Math.min(y1, y2), x1 + half, Math.max(y1, y2) + half);
+                carve(Math.min(x1, x2), y2, Math.max(x1, x2) + half, y2 + half);
+            }
+        }
+
+        rooms.push(room);
+    }
+
+    return tiles;
+}
+
+/**
+ * Registry of map generators, keyed by the id used in CONFIG.WORLD.GENERATOR
+ */
+export const GENERATORS = {
+    scatter: generateScatter,
+    caves: generateCaves,
+    rooms: generateRooms
+};
+
+/**
+ * Register a new map generator
+ * @param {string} id - Generator id
+ * @param {Function} generator - (width, height, random) => 2D array of tile types
+ */
+export function registerGenerator(id, generator) {
+    GENERATORS[id] = generator;
+}
+
+/**
+ * Scatter the terrain features in CONFIG.WORLD.TERRAIN over floor tiles.
+ * Blobs grow by a random walk; lines run straight in one direction. Patch
+ * counts are per WIDTH_TILES x HEIGHT_TILES map and scale with area.
+ * @param {Array<Array<number>>} tiles - 2D array of tile types, edited in place
+ * @param {Random} random - World random stream
+ */
+export function addTerrain(tiles, random) {
+    const height = tiles.length;
+    const width = tiles[0].length;
+    const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    const scale = (width * height) / (CONFIG.WORLD.WIDTH_TILES * CONFIG.WORLD.HEIGHT_TILES);
+
+    for (const feature of CONFIG.WORLD.TERRAIN) {
+        const type = TILE_TYPES[feature.type];
+        // Fractional counts round up or down at random, so small areas still get the odd patch
+        const expected = feature.count * scale;
+        const fraction = expected % 1;
+        const count = Math.floor(expected) + (fraction > 0 && random.next() < fraction ? 1 : 0);
+
+        for (let i = 0; i < count; i++) {
+            let x = 1 + Math.floor(random.next() * (width - 2));
+            let y = 1 + Math.floor(random.next() * (height - 2));
+            if (tiles[y][x] !== TILE_TYPES.FLOOR) continue;
+
+            const [lineX, lineY] = random.pick(directions);
+            for (let step = 0; step < feature.size; step++) {
+                if (tiles[y][x] === TILE_TYPES.FLOOR) {
+                    tiles[y][x] = type;
+                }
+
+                const [dx, dy] = feature.shape === 'line' ? [lineX, lineY] : random.pick(directions);
+                if (isBorder(x + dx, y + dy, width, height)) break;
+                x += dx;
+                y += dy;
+            }
+        }
+    }
+}
+
+/**
+ * Mark every walkable tile reachable from a start tile
+ * @param {Array<Array<number>>} tiles - 2D array of tile types
+ * @param {Uint8Array} reached - Flags indexed y * width + x, updated in place
+ * @param {number} startX - Start column
+ * @param {number} startY - Start row
+ */
+function floodFill(tiles, reached, startX, startY) {
+    const height = tiles.length;
+    const width = tiles[0].length;
+    const stack = [startY * width + startX];
+    reached[startY * width + startX] = 1;
+
+    while (stack.length > 0) {
+        const index = stack.pop();
+        const x = index % width;
+        const y = (index - x) / width;
+
+        for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+            const next = ny * width + nx;
+            if (nx >= 0 && ny >= 0 && nx < width && ny < height &&
+                !reached[next] && !TILE_DEFS[tiles[ny][nx]].solid) {
+                reached[next] = 1;
+                stack.push(next);
+            }
+        }
+    }
+}
+
+/**
+ * Clear the player start and tunnel through solid tiles until every walkable region
+ * joins the start's region. Each pass searches outwards from the reachable
+ * area for the closest cut-off floor tile and carves the shortest path to it.
+ * @param {Array<Array<number>>} tiles - 2D array of tile types, edited in place
+ * @param {number} startX - Player start column
+ * @param {number} startY - Player start row
+ */
+export function connectMap(tiles, startX, startY) {
+    const height = tiles.length;
+    const width = tiles[0].length;
+    const clearance = CONFIG.WORLD.START_CLEARANCE;
+
+    for (let y = startY - clearance; y <= startY + clearance; y++) {
+        for (let x = startX - clearance; x <= startX + clearance; x++) {
+            if (x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+                tiles[y][x] = TILE_TYPES.FLOOR;
+            }
+        }
+    }
+
+    const reached = new Uint8Array(width * height);
+    const cameFrom = new Int32Array(width * height);
+    floodFill(tiles, reached, startX, startY);
+
+    for (;;) {
+        // Breadth-first search from every reached tile, across walls
+        cameFrom.fill(-1);
+        const queue = [];
+        for (let i = 0; i < reached.length; i++) {
+            if (reached[i]) {
+                cameFrom[i] = i;
+                queue.push(i);
+            }
+        }
+
+        let found = -1;
+        for (let head = 0; head < queue.length && found < 0; head++) {
+            const index = queue[head];
+            const x = index % width;
+            const y = (index - x) / width;
+
+            for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+                // Never tunnel through the outer wall
+                if (nx <= 0 || ny <= 0 || nx >= width - 1 || ny >= height - 1) continue;
+                const next = ny * width + nx;
+                if (cameFrom[next] !== -1) continue;
+
+                cameFrom[next] = index;
+                if (!TILE_DEFS[tiles[ny][nx]].solid) {
+                    found = next;
+                    break;
+                }
+                queue.push(next);
+            }
+        }
+
+        if (found < 0) return; // Every walkable tile is reachable
+
+        // Carve the solid tiles along the path back to the reached area, then absorb the region
+        for (let index = cameFrom[found]; !reached[index]; index = cameFrom[index]) {
+            const x = index % width;
+            tiles[(index - x) / width][x] = TILE_TYPES.FLOOR;
+        }
+        const foundX = found % width;
+        floodFill(tiles, reached, foundX, (found - foundX) / width);
+    }
+}
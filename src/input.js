@@ -1,30 +1,255 @@
 /**
- * InputHandler module - manages keyboard input and user interactions
+ * InputHandler module - maps keyboard, gamepad and touch input to actions
+ *
+ * Game code asks about actions ('up', 'pause', 'confirm', ...) rather than
+ * keys. Each action has rebindable keyboard codes (defaults in
+ * CONFIG.INPUT, overrides saved with the settings), gamepad buttons, and
+ * for the move axes the left stick, d-pad and a virtual touch joystick.
+ * Manual aim comes from the mouse or the right stick, whichever moved last.
+ * update() is called once per simulation step and works out which actions
+ * went down since the last step, so wasPressed() fires exactly once per
+ * press however many steps run in a frame; taps shorter than a step still
+ * count.
  */
+import { CONFIG } from './config.js';
+import { loadSettings, saveSettings } from './save.js';
+
+// Move axes, named after their CONFIG.INPUT.MOVEMENT_KEYS entries
+const MOVE_ACTIONS = { up: 'UP', down: 'DOWN', left: 'LEFT', right: 'RIGHT' };
+
+// Standard-mapping gamepad d-pad buttons
+const DPAD_BUTTONS = { up: 12, down: 13, left: 14, right: 15 };
+
+/**
+ * Turn a KeyboardEvent.code into a short readable name
+ * @param {string} code - Key code, e.g. 'KeyQ' or 'ArrowUp'
+ * @returns {string} Readable name, e.g. 'Q' or 'Up'
+ */
+export function formatKeyCode(code) {
+    return code.replace(/^Key|^Digit/, '').replace(/^Arrow/, '') || code;
+}
+
+/**
+ * Get the default key bindings from the config
+ * @returns {Object<string, Array<string>>} Action -> key codes
+ */
+export function getDefaultBindings() {
+    const bindings = {};
+    for (const [action, name] of Object.entries(MOVE_ACTIONS)) {
+        bindings[action] = [...CONFIG.INPUT.MOVEMENT_KEYS[name]];
+    }
+    for (const [action, codes] of Object.entries(CONFIG.INPUT.ACTION_KEYS)) {
+        bindings[action] = [...codes];
+    }
+    return bindings;
+}
+
 export class InputHandler {
-    constructor() {
+    /**
+     * @param {HTMLCanvasElement} [canvas] - Canvas that receives touch input for the joystick
+     */
+    constructor(canvas = null) {
         this.keys = {};
+        this.tapped = new Set(); // Codes pressed since the last update(), even if already released
+        
+        // Saved overrides replace the defaults action by action
+        this.bindings = getDefaultBindings();
+        for (const [action, codes] of Object.entries(loadSettings().bindings)) {
+            if (action in this.bindings) {
+                this.bindings[action] = [...codes];
+            }
+        }
+        
+        this.down = new Set(); // Actions held as of the last update()
+        this.pressed = new Set(); // Actions that went down in the last update()
+        this.gamepad = null; // Snapshot of the active pad for this step
+        this.stick = { x: 0, y: 0 }; // Left stick after the deadzone
+        
+        // Aiming: the mouse position and the last right stick direction
+        this.pointer = null; // Mouse position in canvas pixels, once it has moved over the canvas
+        this.aimStick = null; // Last right stick direction outside the deadzone
+        this.aimSource = null; // 'mouse' or 'stick', whichever moved last
+        
+        // Virtual joystick: appears where a touch starts on the canvas
+        this.canvas = canvas;
+        this.touch = null; // {id, originX, originY, x, y} in canvas pixels while active
+        
         this.setupEventListeners();
     }
     
     /**
-     * Set up keyboard event listeners
+     * Set up keyboard, mouse and touch event listeners
      */
     setupEventListeners() {
         window.addEventListener('keydown', (e) => {
             this.keys[e.code] = true;
+            this.tapped.add(e.code);
         });
         
         window.addEventListener('keyup', (e) => {
             this.keys[e.code] = false;
         });
+        
+        // A released window never sends keyup for the keys that were held
+        window.addEventListener('blur', () => {
+            this.keys = {};
+        });
+        
+        if (!this.canvas) return;
+        
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'touch' || this.touch) return;
+            const point = this.toCanvasPoint(e);
+            this.touch = { id: e.pointerId, originX: point.x, originY: point.y, x: point.x, y: point.y };
+        });
+        
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (e.pointerType === 'mouse') {
+                this.pointer = this.toCanvasPoint(e);
+                this.aimSource = 'mouse';
+                return;
+            }
+            if (!this.touch || e.pointerId !== this.touch.id) return;
+            const point = this.toCanvasPoint(e);
+            this.touch.x = point.x;
+            this.touch.y = point.y;
+        });
+        
+        const endTouch = (e) => {
+            if (this.touch && e.pointerId === this.touch.id) {
+                this.touch = null;
+            }
+        };
+        this.canvas.addEventListener('pointerup', endTouch);
+        this.canvas.addEventListener('pointercancel', endTouch);
     }
     
     /**
-     * Update input state (called each frame)
+     * Convert a pointer event to canvas pixels, allowing for CSS scaling
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Object} Object with x, y in canvas pixels
+     */
+    toCanvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+    
+    /**
+     * Poll the gamepad and work out which actions are held and newly pressed;
+     * call once per simulation step
      */
     update() {
-        // Keys are automatically updated by event listeners
+        this.gamepad = this.pollGamepad();
+        this.stick = this.readStick(0, 1);
+        
+        const aim = this.readStick(2, 3);
+        if (aim.x !== 0 || aim.y !== 0) {
+            this.aimStick = aim;
+            this.aimSource = 'stick';
+        }
+        
+        this.pressed.clear();
+        for (const action of Object.keys(this.bindings)) {
+            const held = this.isActionHeld(action);
+            const tapped = this.bindings[action].some(code => this.tapped.has(code));
+            if ((held || tapped) && !this.down.has(action)) {
+                this.pressed.add(action);
+            }
+            if (held) {
+                this.down.add(action);
+            } else {
+                this.down.delete(action);
+            }
+        }
+        this.tapped.clear();
+    }
+    
+    /**
+     * Get the first connected gamepad
+     * @returns {Gamepad|null} Gamepad, or null if none is connected
+     */
+    pollGamepad() {
+        if (!navigator.getGamepads) return null;
+        for (const pad of navigator.getGamepads()) {
+            if (pad && pad.connected) return pad;
+        }
+        return null;
+    }
+    
+    /**
+     * Read a gamepad stick with a radial deadzone, rescaled so it still reaches 1
+     * @param {number} axisX - Index of the stick's X axis
+     * @param {number} axisY - Index of the stick's Y axis
+     * @returns {Object} Object with x, y in -1..1 (zero inside the deadzone)
+     */
+    readStick(axisX, axisY) {
+        if (!this.gamepad) return { x: 0, y: 0 };
+        
+        const x = this.gamepad.axes[axisX] || 0;
+        const y = this.gamepad.axes[axisY] || 0;
+        const magnitude = Math.sqrt(x * x + y * y);
+        const deadzone = CONFIG.INPUT.GAMEPAD.DEADZONE;
+        if (magnitude <= deadzone) return { x: 0, y: 0 };
+        
+        const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+        return { x: x / magnitude * scaled, y: y / magnitude * scaled };
+    }
+    
+    /**
+     * Check whether a gamepad button is held
+     * @param {number} index - Standard-mapping button index
+     * @returns {boolean} True if held
+     */
+    isButtonHeld(index) {
+        const button = this.gamepad && this.gamepad.buttons[index];
+        return !!button && button.pressed;
+    }
+    
+    /**
+     * Check an action against every device
+     * @param {string} action - Action name
+     * @returns {boolean} True if any of its keys, buttons or axes is held
+     */
+    isActionHeld(action) {
+        if (this.bindings[action].some(code => this.keys[code])) return true;
+        
+        const buttons = CONFIG.INPUT.GAMEPAD.BUTTONS[action] || [];
+        if (buttons.some(index => this.isButtonHeld(index))) return true;
+        
+        // Move axes also count as held when the stick or touch joystick points that way
+        if (action in MOVE_ACTIONS) {
+            if (this.isButtonHeld(DPAD_BUTTONS[action])) return true;
+            const analog = this.getAnalogDirection();
+            const threshold = 0.5;
+            switch (action) {
+                case 'up': return analog.y < -threshold;
+                case 'down': return analog.y > threshold;
+                case 'left': return analog.x < -threshold;
+                case 'right': return analog.x > threshold;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Check whether an action is held down
+     * @param {string} action - Action name, e.g. 'up' or 'confirm'
+     * @returns {boolean} True while held (as of the last update())
+     */
+    isDown(action) {
+        return this.down.has(action);
+    }
+    
+    /**
+     * Check whether an action was pressed this step (edge-triggered)
+     * @param {string} action - Action name, e.g. 'pause' or 'confirm'
+     * @returns {boolean} True only on the step the press happened
+     */
+    wasPressed(action) {
+        return this.pressed.has(action);
     }
     
     /**
@@ -37,41 +262,156 @@ export class InputHandler {
     }
     
     /**
-     * Check if any movement keys are pressed
-     * @returns {boolean} True if any movement key is pressed
+     * Get the stick or touch joystick direction
+     * @returns {Object} Object with x, y; length at most 1
+     */
+    getAnalogDirection() {
+        if (this.touch) {
+            const radius = CONFIG.INPUT.TOUCH.JOYSTICK_RADIUS;
+            const dx = this.touch.x - this.touch.originX;
+            const dy = this.touch.y - this.touch.originY;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance < radius * CONFIG.INPUT.TOUCH.DEADZONE) return { x: 0, y: 0 };
+            const scale = Math.min(distance, radius) / radius / distance;
+            return { x: dx * scale, y: dy * scale };
+        }
+        return this.stick;
+    }
+    
+    /**
+     * Get the direction to aim in from an origin in the world
+     * @param {Camera} camera - Camera, to place the mouse in the world
+     * @param {number} originX - World X to aim from
+     * @param {number} originY - World Y to aim from
+     * @returns {Object|null} Unit vector with x, y, or null if there is nothing to aim with yet
+     */
+    getAimDirection(camera, originX, originY) {
+        let dx = 0;
+        let dy = 0;
+        if (this.aimSource === 'stick') {
+            dx = this.aimStick.x;
+            dy = this.aimStick.y;
+        } else if (this.aimSource === 'mouse') {
+            const target = camera.screenToWorld(this.pointer.x, this.pointer.y);
+            dx = target.x - originX;
+            dy = target.y - originY;
+        }
+        
+        const length = Math.sqrt(dx * dx + dy * dy);
+        return length > 0 ? { x: dx / length, y: dy / length } : null;
+    }
+    
+    /**
+     * Get the mouse position while the mouse is what's aiming
+     * @returns {Object|null} Object with x, y in canvas pixels, or null
+     */
+    getAimPointer() {
+        return this.aimSource === 'mouse' ? this.pointer : null;
+    }
+    
+    /**
+     * Check if any movement input is active
+     * @returns {boolean} True if the player is being steered
      */
     isMoving() {
-        return this.isKeyPressed('KeyW') || 
-               this.isKeyPressed('KeyS') || 
-               this.isKeyPressed('KeyA') || 
-               this.isKeyPressed('KeyD') ||
-               this.isKeyPressed('ArrowUp') ||
-               this.isKeyPressed('ArrowDown') ||
-               this.isKeyPressed('ArrowLeft') ||
-               this.isKeyPressed('ArrowRight');
+        const direction = this.getMovementDirection();
+        return direction.x !== 0 || direction.y !== 0;
     }
     
     /**
-     * Get movement direction vector
-     * @returns {Object} Object with x and y direction values (-1, 0, or 1)
+     * Get movement direction vector: full length from keys and d-pad
+     * (diagonals included), otherwise the analog stick or touch joystick,
+     * whose tilt sets the length
+     * @returns {Object} Object with x and y direction values; length at most 1
      */
     getMovementDirection() {
-        let x = 0;
-        let y = 0;
-        
-        if (this.isKeyPressed('KeyA') || this.isKeyPressed('ArrowLeft')) {
-            x -= 1;
-        }
-        if (this.isKeyPressed('KeyD') || this.isKeyPressed('ArrowRight')) {
-            x += 1;
+        const x = (this.isDigitalHeld('right') ? 1 : 0) - (this.isDigitalHeld('left') ? 1 : 0);
+        const y = (this.isDigitalHeld('down') ? 1 : 0) - (this.isDigitalHeld('up') ? 1 : 0);
+        if (x !== 0 || y !== 0) {
+            const length = Math.sqrt(x * x + y * y);
+            return { x: x / length, y: y / length };
         }
-        if (this.isKeyPressed('KeyW') || this.isKeyPressed('ArrowUp')) {
-            y -= 1;
+        return this.getAnalogDirection();
+    }
+    
+    /**
+     * Check a move axis on the keyboard and d-pad only
+     * @param {string} action - 'up', 'down', 'left' or 'right'
+     * @returns {boolean} True if a bound key or the d-pad is held
+     */
+    isDigitalHeld(action) {
+        return this.bindings[action].some(code => this.keys[code]) || this.isButtonHeld(DPAD_BUTTONS[action]);
+    }
+    
+    /**
+     * Replace the keys bound to an action and save the bindings
+     * @param {string} action - Action name
+     * @param {Array<string>} codes - KeyboardEvent.code values
+     */
+    setBinding(action, codes) {
+        if (!(action in this.bindings)) return;
+        
+        // A key can only do one thing: take it off any other action
+        for (const [other, otherCodes] of Object.entries(this.bindings)) {
+            if (other !== action) {
+                this.bindings[other] = otherCodes.filter(code => !codes.includes(code));
+            }
         }
-        if (this.isKeyPressed('KeyS') || this.isKeyPressed('ArrowDown')) {
-            y += 1;
+        this.bindings[action] = [...codes];
+        this.saveBindings();
+    }
+    
+    /**
+     * Go back to the default bindings
+     */
+    resetBindings() {
+        this.bindings = getDefaultBindings();
+        this.saveBindings();
+    }
+    
+    /**
+     * Store the bindings that differ from the defaults
+     */
+    saveBindings() {
+        const defaults = getDefaultBindings();
+        const changed = {};
+        for (const [action, codes] of Object.entries(this.bindings)) {
+            if (codes.join() !== defaults[action].join()) {
+                changed[action] = codes;
+            }
         }
+        saveSettings({ ...loadSettings(), bindings: changed });
+    }
+    
+    /**
+     * Describe an action's first key for on-screen hints
+     * @param {string} action - Action name
+     * @returns {string} Readable key name, e.g. 'Q' or 'Escape'
+     */
+    getBindingLabel(action) {
+        const code = (this.bindings[action] || [])[0];
+        return code ? formatKeyCode(code) : 'unbound';
+    }
+    
+    /**
+     * Draw the virtual joystick while a touch is steering
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context (screen space)
+     */
+    renderTouchControls(ctx) {
+        if (!this.touch) return;
+        
+        const radius = CONFIG.INPUT.TOUCH.JOYSTICK_RADIUS;
+        const direction = this.getAnalogDirection();
+        
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(this.touch.originX, this.touch.originY, radius, 0, Math.PI * 2);
+        ctx.stroke();
         
-        return { x, y };
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.beginPath();
+        ctx.arc(this.touch.originX + direction.x * radius, this.touch.originY + direction.y * radius, radius * 0.4, 0, Math.PI * 2);
+        ctx.fill();
     }
 }
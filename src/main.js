@@ -5,8 +5,25 @@ import { Player } from './player.js';
 import { InputHandler } from './input.js';
 import { Camera } from './camera.js';
 import { World } from './world.js';
+import { EndlessWorld } from './chunks.js';
 import { EnemyManager } from './enemy.js';
+import { PickupManager } from './pickups.js';
+import { WaveDirector } from './director.js';
 import { CONFIG } from './config.js';
+import { formatTime, lerp, COLORS, setColorPalette } from './utils.js';
+import { UpgradeScreen, applyPassiveUpgrade } from './upgrades.js';
+import { setSeed, parseSeed, generateSeed, getStreamStates, restoreStreams } from './random.js';
+import { loadRun, saveRun, clearRun, loadProfile, saveProfile, loadSettings, saveSettings } from './save.js';
+import { applyMetaBonuses, recordRun, MetaShop } from './meta.js';
+import { loadTiledMap } from './tiled.js';
+import { loadSpriteSheets } from './sprites.js';
+import { audio } from './audio.js';
+import { effects } from './effects.js';
+import { PauseMenu, TitleScreen, LoadoutScreen } from './menu.js';
+import {
+    StateMachine, BootState, TitleState, LoadoutState, PlayingState,
+    PausedState, LevelUpState, GameOverState, ResultsState
+} from './states.js';
 
 class Game {    constructor() {
         this.canvas = document.getElementById('gameCanvas');
@@ -14,13 +31,30 @@ class Game {    constructor() {
         this.width = this.canvas.width;
         this.height = this.canvas.height;        
         
+        // Run seed: ?seed= in the URL pins it, otherwise each run gets a fresh one
+        const params = new URLSearchParams(window.location.search);
+        this.fixedSeed = parseSeed(params.get('seed'));
+        
+        // Tiled map: ?map=maps/arena.json plays it instead of a generated world
+        this.mapUrl = params.get('map');
+        this.map = null; // Parsed once, reused by every run
+        
+        // Endless mode: ?endless streams an unbounded world (ignored when a map is given)
+        this.endless = params.has('endless');
+        
+        // Meta-profile: records, coins and permanent bonuses across runs
+        this.profile = loadProfile();
+        
+        // Player options (volumes, shake, palette, aim mode); applied after the run exists
+        this.settings = loadSettings();
+        this.aimMode = this.settings.aimMode; // 'auto' fires at the nearest enemies; 'manual' at the mouse or right stick
+        
         // Game state
-        this.camera = new Camera();
-        this.player = new Player(CONFIG.PLAYER.START_X, CONFIG.PLAYER.START_Y);
-        this.world = new World();
-        this.inputHandler = new InputHandler();
-        this.enemyManager = new EnemyManager();
-          // UI elements
+        this.createRun();
+        this.inputHandler = new InputHandler(this.canvas);
+        this.applySettings();
+        
+        // UI elements
         this.healthElement = document.getElementById('health-value');
         this.positionElement = document.getElementById('position-value');
         this.levelElement = document.getElementById('level-value');
@@ -28,142 +62,441 @@ class Game {    constructor() {
         this.xpElement = document.getElementById('xp-value');
         this.xpRequiredElement = document.getElementById('xp-required');
         this.xpBarElement = document.getElementById('xp-bar');
-        this.weaponLevelElement = document.getElementById('weapon-level');
-        this.weaponPatternElement = document.getElementById('weapon-pattern');
+        this.dashElement = document.getElementById('dash-value');
+        this.dashBarElement = document.getElementById('dash-bar');
+        this.weaponListElement = document.getElementById('weapon-list');
+        this.seedElement = document.getElementById('seed-value');
+        this.waveElement = document.getElementById('wave-value');
+        this.timerElement = document.getElementById('timer-value');
+        this.loadingElement = document.getElementById('loading-screen');
+        this.loadingBarElement = document.getElementById('loading-bar');
+        
+        // Game over screen
+        this.gameOverElement = document.getElementById('game-over');
+        this.resultTimeElement = document.getElementById('result-time');
+        this.resultLevelElement = document.getElementById('result-level');
+        this.resultWaveElement = document.getElementById('result-wave');
+        this.resultKillsElement = document.getElementById('result-kills');
+        this.resultSeedElement = document.getElementById('result-seed');
+        this.resultCoinsElement = document.getElementById('result-coins');
+        this.resultBestElement = document.getElementById('result-best');
+        this.metaShop = new MetaShop();
+        
+        // Overlays; the states below wire up their callbacks
+        this.upgradeScreen = new UpgradeScreen();
+        this.pauseMenu = new PauseMenu(this.inputHandler);
+        this.titleScreen = new TitleScreen();
+        this.loadoutScreen = new LoadoutScreen();
+        
+        // Scenes: each owns its update, render and input routing
+        this.states = new StateMachine()
+            .add('boot', new BootState(this))
+            .add('title', new TitleState(this))
+            .add('loadout', new LoadoutState(this))
+            .add('playing', new PlayingState(this))
+            .add('paused', new PausedState(this))
+            .add('levelUp', new LevelUpState(this))
+            .add('gameOver', new GameOverState(this))
+            .add('results', new ResultsState(this));
         
         // Notification system
         this.notifications = [];
         this.notificationTimer = 0;
         
-        // Key press tracking for manual controls
-        this.patternKeyPressed = false;
-        this.upgradeKeyPressed = false;
+        // Debug overlay with entity pool usage, toggled with the backquote key
+        this.showDebug = false;
         
         // Game loop state
         this.lastTime = 0;
+        this.accumulator = 0;
         this.gameRunning = false;
+        this.hitStopped = false; // The last step was held by hit-stop
         
         this.init();
     }
     
     /**
-     * Initialize the game
+     * Initialize the game: hook up page events, then boot behind the loading screen
      */
     init() {
+        // Open the pause menu whenever the page loses focus
+        window.addEventListener('blur', () => this.pause());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause();
+        });
+        window.addEventListener('pagehide', () => this.autosave());
+        
+        // Browsers only start audio from a user gesture
+        window.addEventListener('keydown', () => audio.unlock());
+        window.addEventListener('pointerdown', () => audio.unlock());
+        
+        // Mouse wheel zooms the camera
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const step = e.deltaY < 0 ? CONFIG.CAMERA.ZOOM_STEP : 1 / CONFIG.CAMERA.ZOOM_STEP;
+            this.camera.setZoom(this.camera.targetZoom * step);
+        }, { passive: false });
+        
+        this.states.change('boot');
+        this.start();
+    }
+    
+    /**
+     * Preload assets, the map and any saved run; the boot state waits on this
+     */
+    async load() {
+        // Preload sprite sheets behind the loading screen; missing ones fall back to shapes
+        await loadSpriteSheets((settled, total) => {
+            this.loadingBarElement.style.width = `${total > 0 ? settled / total * 100 : 100}%`;
+        });
+        
+        if (this.mapUrl) {
+            await this.loadMap(this.mapUrl);
+        }
+        
+        // Pick up where the last session left off, unless the URL asks for another seed, map or mode
+        const saved = loadRun();
+        if (saved && (this.fixedSeed === null || saved.seed === this.fixedSeed) &&
+            (saved.map ?? null) === this.mapUrl && (saved.endless ?? false) === this.isEndless()) {
+            this.resumeRun(saved);
+        }
+    }
+    
+    /**
+     * Load a Tiled map and rebuild the run on it; keeps the generated world if loading fails
+     * @param {string} url - Map URL, relative to index.html
+     */
+    async loadMap(url) {
+        try {
+            this.map = await loadTiledMap(url);
+            this.createRun();
+        } catch (error) {
+            this.mapUrl = null;
+            this.addNotification(`Map failed to load (${error.message}), using a random one`, '#E74C3C');
+        }
+    }
+    
+    /**
+     * Start the game loop on the next animation frame
+     */
+    start() {
         this.gameRunning = true;
-        this.gameLoop();
+        this.accumulator = 0;
+        requestAnimationFrame((time) => {
+            // Measure the first frame from here rather than from page load
+            this.lastTime = time;
+            this.gameLoop(time);
+        });
     }
     
     /**
-     * Main game loop
+     * Main game loop - advances the simulation in fixed steps and renders
+     * interpolated between the last two steps
      * @param {number} timestamp - Current timestamp
      */
-    gameLoop(timestamp = 0) {
+    gameLoop(timestamp) {
         if (!this.gameRunning) return;
         
-        const deltaTime = timestamp - this.lastTime;
+        // Clamp long frames (background tabs, breakpoints) so the simulation
+        // never tries to catch up on seconds of missed time
+        const frameTime = Math.min(timestamp - this.lastTime, CONFIG.LOOP.MAX_FRAME_TIME);
         this.lastTime = timestamp;
         
-        this.update(deltaTime);
-        this.render();
+        // The current state decides what a step does; only playing advances the run
+        const step = CONFIG.LOOP.FIXED_STEP;
+        this.accumulator += frameTime;
+        while (this.accumulator >= step) {
+            this.inputHandler.update();
+            this.states.update(step);
+            this.accumulator -= step;
+        }
+        
+        // Nothing moves during hit-stop, so draw the held step rather than blending towards it
+        this.states.render(this.hitStopped ? 1 : this.accumulator / step);
+        audio.update();
         
         requestAnimationFrame((time) => this.gameLoop(time));
     }
+    
+    /**
+     * Open the pause menu, if the current state can be paused
+     */
+    pause() {
+        if (this.states.current.pausable) {
+            this.states.change('paused', { resumeTo: this.states.name });
+        }
+    }
+    
       /**
-     * Update all game systems
+     * Advance the run one step; called by the playing state, which handles
+     * pausing, level-ups and death around it
      * @param {number} deltaTime - Time elapsed since last frame
      */
     update(deltaTime) {
-        // Process input
-        this.inputHandler.update();
-        
         // Handle manual weapon pattern switching (for testing)
-        if (this.inputHandler.isKeyPressed('KeyQ')) {
-            if (!this.patternKeyPressed) {
-                this.player.weaponSystem.upgrade('pattern');
-                this.addNotification(`Pattern changed to: ${this.player.weaponSystem.firingPattern}`, '#9B59B6');
-                this.patternKeyPressed = true;
-            }
-        } else {
-            this.patternKeyPressed = false;
+        if (this.inputHandler.wasPressed('pattern')) {
+            this.player.weaponSystem.upgrade('pattern');
+            this.addNotification(`Pattern changed to: ${this.player.weaponSystem.firingPattern}`, '#9B59B6');
         }
         
         // Handle manual upgrades (for testing)
-        if (this.inputHandler.isKeyPressed('KeyE')) {
-            if (!this.upgradeKeyPressed) {
-                this.player.weaponSystem.upgrade('multiShot');
+        if (this.inputHandler.wasPressed('multiShot')) {
+            if (this.player.weaponSystem.upgrade('multiShot')) {
                 this.addNotification('Multi-shot upgraded!', '#FFD700');
-                this.upgradeKeyPressed = true;
             }
-        } else {
-            this.upgradeKeyPressed = false;
         }
         
-        // Get current enemies for auto-targeting
-        const enemies = this.enemyManager.getEnemies();
+        // Toggle the debug overlay
+        if (this.inputHandler.wasPressed('debug')) {
+            this.showDebug = !this.showDebug;
+        }
         
-        // Count enemies before update to track kills
-        const enemyCountBefore = enemies.length;
+        // Toggle sound
+        if (this.inputHandler.wasPressed('mute')) {
+            this.addNotification(audio.toggleMute() ? 'Sound off' : 'Sound on', '#4A90E2');
+        }
         
-        // Track player level for notifications
+        // Toggle particles and hit feedback, for slower machines
+        if (this.inputHandler.wasPressed('effects')) {
+            effects.setEnabled(!effects.enabled);
+            this.addNotification(effects.enabled ? 'Effects on' : 'Effects off', '#4A90E2');
+        }
+        
+        if (this.inputHandler.wasPressed('aimMode')) {
+            this.changeSetting('aimMode', this.aimMode === 'manual' ? 'auto' : 'manual');
+            this.addNotification(this.aimMode === 'manual' ? 'Manual aim' : 'Auto aim', '#4A90E2');
+        }
+        
+        // Hold the action for a beat after heavy hits; keys above are still read meanwhile
+        this.hitStopped = effects.updateHitStop(deltaTime);
+        if (this.hitStopped) {
+            // A dash pressed during the freeze fires as soon as it ends
+            if (this.inputHandler.wasPressed('dash')) {
+                this.player.queueDash();
+            }
+            return;
+        }
+        
+        this.elapsedTime += deltaTime;
+        
+        // Manual aim follows the mouse or right stick, or the way the player last moved until either is used
+        if (this.aimMode === 'manual') {
+            const aim = this.inputHandler.getAimDirection(this.camera, this.player.x, this.player.y);
+            this.player.setAim(aim || { x: this.player.lastDirectionX, y: this.player.lastDirectionY });
+        } else {
+            this.player.setAim(null);
+        }
+        
+        // Enemies indexed by position for auto-targeting
+        const enemyIndex = this.enemyManager.spatialIndex;
+        
+        // Track player level and health for notifications and sounds
         const previousLevel = this.player.level;
+        const previousHealth = this.player.health;
         
         // Update player
-        this.player.update(deltaTime, this.inputHandler, this.world, enemies);
+        this.player.update(deltaTime, this.inputHandler, this.world, enemyIndex);
         
-        // Check for level up
-        if (this.player.level > previousLevel) {
-            this.addNotification(`Level Up! Now level ${this.player.level}`, '#4CAF50');
-            this.addNotification(`Weapon upgraded: ${this.getLastUpgradeType()}`, '#FFD700');
+        // Pace spawning and announce special waves
+        for (const event of this.director.update(deltaTime, this.enemyManager, this.player, this.world)) {
+            if (event === 'boss') {
+                this.addNotification('A boss has appeared!', '#E74C3C');
+            } else {
+                this.addNotification('Elite wave!', '#FFD700');
+            }
         }
         
         // Update enemies
         this.enemyManager.update(deltaTime, this.player, this.world);
         
-        // Check for enemy kills and award experience
-        const enemyCountAfter = this.enemyManager.getEnemies().length;
-        const enemiesKilled = enemyCountBefore - enemyCountAfter;
-        if (enemiesKilled > 0) {
-            for (let i = 0; i < enemiesKilled; i++) {
-                this.player.addKill();
+        // Contact hits, enemy shots and terrain all count as getting hurt
+        if (this.player.health < previousHealth) {
+            audio.play('hurt');
+            
+            // Only real hits (which start invulnerability) freeze the action, not terrain ticks
+            if (this.player.invulnerabilityTimer >= CONFIG.PLAYER.INVULNERABILITY_TIME) {
+                effects.hitStop(CONFIG.EFFECTS.HIT_STOP.HURT);
+                this.camera.addTrauma(CONFIG.CAMERA.SHAKE.HURT);
             }
         }
         
-        // Update camera to follow player
-        this.camera.follow(this.player, this.width, this.height);
+        // Gather gems and items
+        if (this.pickups.update(deltaTime, this.player) > 0) {
+            audio.play('pickup');
+        }
+        
+        // Check for level up (gems collected above can level the player)
+        if (this.player.level > previousLevel) {
+            this.addNotification(`Level Up! Now level ${this.player.level}`, '#4CAF50');
+            audio.play('levelUp');
+            effects.levelUpRings(this.player.x, this.player.y);
+        }
+        
+        // The run is over; the game-over state takes it from here
+        if (!this.player.isAlive()) {
+            return;
+        }
+        
+        effects.update(deltaTime);
+        
+        // Update camera to follow player; the world streams in whatever the (zoomed) view covers
+        this.camera.follow(deltaTime, this.player, this.world, this.width, this.height);
+        const viewSize = this.camera.getViewSize(this.width, this.height);
+        this.world.update(deltaTime, this.camera, viewSize.width, viewSize.height);
         
         // Update UI
         this.updateUI();
         
         // Update notifications
         this.updateNotifications(deltaTime);
+        
+        // Periodically snapshot the run so a reload can resume it
+        this.autosaveTimer += deltaTime;
+        if (this.autosaveTimer >= CONFIG.SAVE.AUTOSAVE_INTERVAL) {
+            this.autosave();
+        }
     }
     
     /**
-     * Render all game elements
+     * Render all game elements; states draw their own overlays on top
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
      */
-    render() {
+    render(alpha = 1) {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.width, this.height);
         
         // Save context and apply camera transform
+        const view = this.camera.getInterpolatedPosition(alpha);
         this.ctx.save();
-        this.ctx.translate(-this.camera.x, -this.camera.y);
+        this.ctx.scale(view.zoom, view.zoom);
+        this.ctx.translate(-view.x, -view.y);
+        
+        // Render world, culled to the area the zoomed view covers
+        this.world.render(this.ctx, view, this.width / view.zoom, this.height / view.zoom);
         
-        // Render world
-        this.world.render(this.ctx, this.camera, this.width, this.height);
+        // Render pickups under everything that moves
+        this.pickups.render(this.ctx, alpha);
         
         // Render enemies
-        this.enemyManager.render(this.ctx);
+        this.enemyManager.render(this.ctx, alpha);
         
         // Render player
-        this.player.render(this.ctx);
+        this.player.render(this.ctx, alpha);
+        
+        // Particles and damage numbers over everything in the world
+        effects.render(this.ctx, alpha);
         
         // Restore context
         this.ctx.restore();
         
         // Render notifications on top (no camera transform)
         this.renderNotifications();
+        this.renderWaveWarning();
+        this.inputHandler.renderTouchControls(this.ctx);
+        this.renderReticle(view, alpha);
+        
+        if (this.showDebug) {
+            this.renderDebugOverlay();
+        }
+    }
+    
+    /**
+     * Draw the aiming reticle in manual aim mode: under the mouse, or out
+     * along the right stick from the player
+     * @param {Object} view - Interpolated camera view {x, y, zoom}
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    renderReticle(view, alpha) {
+        if (this.aimMode !== 'manual' || !this.player.aim || this.isGameOver) return;
+        
+        let point = this.inputHandler.getAimPointer();
+        if (!point) {
+            const distance = CONFIG.WEAPON.RETICLE_DISTANCE;
+            const worldX = lerp(this.player.prevX, this.player.x, alpha) + this.player.aim.x * distance;
+            const worldY = lerp(this.player.prevY, this.player.y, alpha) + this.player.aim.y * distance;
+            point = { x: (worldX - view.x) * view.zoom, y: (worldY - view.y) * view.zoom };
+        }
+        
+        this.ctx.strokeStyle = COLORS.RETICLE;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 8, 0, Math.PI * 2);
+        this.ctx.moveTo(point.x - 13, point.y);
+        this.ctx.lineTo(point.x - 4, point.y);
+        this.ctx.moveTo(point.x + 4, point.y);
+        this.ctx.lineTo(point.x + 13, point.y);
+        this.ctx.moveTo(point.x, point.y - 13);
+        this.ctx.lineTo(point.x, point.y - 4);
+        this.ctx.moveTo(point.x, point.y + 4);
+        this.ctx.lineTo(point.x, point.y + 13);
+        this.ctx.stroke();
+    }
+    
+    /**
+     * Change one setting, save it and apply it straight away
+     * @param {string} key - Settings field
+     * @param {*} value - New value
+     */
+    changeSetting(key, value) {
+        this.settings[key] = value;
+        // Merge into the stored record, which also holds the key bindings the input handler saves
+        saveSettings({ ...loadSettings(), [key]: value });
+        this.applySettings();
+    }
+    
+    /**
+     * Push the settings to the modules they affect
+     */
+    applySettings() {
+        for (const [bus, volume] of Object.entries(this.settings.volumes)) {
+            audio.setVolume(bus, volume);
+        }
+        this.camera.setShakeEnabled(this.settings.screenShake);
+        effects.setDamageNumbers(this.settings.damageNumbers);
+        setColorPalette(this.settings.colorBlind);
+        
+        this.aimMode = this.settings.aimMode === 'manual' ? 'manual' : 'auto';
+        // The reticle replaces the system cursor while aiming by hand
+        this.canvas.classList.toggle('manual-aim', this.aimMode === 'manual');
+    }
+    
+    /**
+     * Dim the game behind menus and the results screen
+     * @param {number} [opacity] - How dark to make it (0-1)
+     */
+    renderDimOverlay(opacity = 0.5) {
+        this.ctx.fillStyle = `rgba(0, 0, 0, ${opacity})`;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+    }
+    
+    /**
+     * Show entity pool usage, to spot allocation churn
+     */
+    renderDebugOverlay() {
+        const lines = [];
+        const addPool = (name, stats) => {
+            lines.push(`${name}: ${stats.live} live / ${stats.free} free (${stats.created} made, peak ${stats.peak})`);
+        };
+        
+        const enemyStats = this.enemyManager.getPoolStats();
+        addPool('Enemies', enemyStats.enemies);
+        addPool('Enemy shots', enemyStats.enemyProjectiles);
+        addPool('Pickups', this.pickups.getPoolStats());
+        addPool('Particles', effects.getPoolStats());
+        for (const [id, stats] of Object.entries(this.player.weapons.getPoolStats())) {
+            addPool(`${id} shots`, stats);
+        }
+        if (this.isEndless()) {
+            lines.push(`Chunks: ${this.world.chunks.size} loaded, ${this.world.edits.size} edited`);
+        }
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(this.width - 410, 10, 400, lines.length * 16 + 10);
+        this.ctx.fillStyle = '#00FF00';
+        this.ctx.font = '12px "Courier New", monospace';
+        lines.forEach((line, i) => {
+            this.ctx.fillText(line, this.width - 400, 27 + i * 16);
+        });
     }
     
     /**
@@ -186,6 +519,23 @@ class Game {    constructor() {
         this.ctx.textAlign = 'left'; // Reset text alignment
     }
     
+    /**
+     * Flash a banner before an elite or boss wave
+     */
+    renderWaveWarning() {
+        const warning = this.director.getWarning();
+        if (!warning || this.isGameOver) return;
+        
+        // Blink twice per second
+        if (Math.floor(this.elapsedTime / 250) % 2 === 0) {
+            this.ctx.font = 'bold 24px "Courier New", monospace';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillStyle = '#E74C3C';
+            this.ctx.fillText(warning, this.width / 2, this.height / 3);
+            this.ctx.textAlign = 'left';
+        }
+    }
+    
     /**
      * Update UI elements
      */
@@ -197,8 +547,37 @@ class Game {    constructor() {
         this.xpElement.textContent = this.player.experience;
         this.xpRequiredElement.textContent = this.player.level * CONFIG.PROGRESSION.XP_PER_LEVEL;
         this.xpBarElement.style.width = `${this.player.getExperienceProgress() * 100}%`;
-        this.weaponLevelElement.textContent = this.player.weaponSystem.level;
-        this.weaponPatternElement.textContent = this.player.weaponSystem.firingPattern;
+        this.updateDashIndicator();
+        this.updateWeaponList();
+        this.seedElement.textContent = this.seed;
+        this.waveElement.textContent = this.director.getWaveNumber();
+        this.timerElement.textContent = formatTime(this.elapsedTime);
+    }
+    
+    /**
+     * Show the dash cooldown as a filling bar
+     */
+    updateDashIndicator() {
+        const progress = this.player.getDashProgress();
+        const ready = progress >= 1;
+        this.dashElement.textContent = ready ? 'Ready' : `${(this.player.dashCooldownTimer / 1000).toFixed(1)}s`;
+        this.dashBarElement.style.width = `${progress * 100}%`;
+        this.dashBarElement.classList.toggle('ready', ready);
+    }
+    
+    /**
+     * List every equipped weapon in the HUD
+     */
+    updateWeaponList() {
+        const lines = this.player.weapons.slots.map(slot =>
+            `${slot.definition.name} Lv ${slot.weapon.level} (${slot.definition.getDetail(slot.weapon)})`
+        );
+        const text = lines.join('\n');
+        
+        // Only touch the DOM when something changed
+        if (this.weaponListElement.textContent !== text) {
+            this.weaponListElement.textContent = text;
+        }
     }
     
     /**
@@ -207,15 +586,185 @@ class Game {    constructor() {
     stop() {
         this.gameRunning = false;
     }
-      /**
-     * Restart the game
-     */    restart() {
-        this.player = new Player(CONFIG.PLAYER.START_X, CONFIG.PLAYER.START_Y);
+    
+    /**
+     * Set up every per-run system for a fresh run
+     */
+    createRun() {
+        this.seedRun();
+        
+        // Permanent bonuses raise the baselines the new player starts from
+        applyMetaBonuses(this.profile);
+        
         this.camera = new Camera();
-        this.world = new World();
+        this.camera.setShakeEnabled(this.settings.screenShake);
+        this.world = this.endless && !this.map ? new EndlessWorld() : new World(this.map);
+        const start = this.world.playerStart || { x: CONFIG.PLAYER.START_X, y: CONFIG.PLAYER.START_Y };
+        this.player = new Player(start.x, start.y);
+        this.camera.setPosition(start.x - this.width / 2, start.y - this.height / 2);
         this.enemyManager = new EnemyManager();
-        this.gameRunning = true;
-        this.gameLoop();
+        this.enemyManager.onKill = (enemy) => this.onEnemyKilled(enemy);
+        this.pickups = new PickupManager();
+        this.director = new WaveDirector();
+        effects.clear();
+        
+        // Run state
+        this.elapsedTime = 0;
+        this.autosaveTimer = 0;
+        this.isGameOver = false;
+        this.runInProgress = false; // Set once the run is started or resumed, cleared when it ends
+    }
+    
+    /**
+     * Check whether the current run is on the endless streamed world
+     * @returns {boolean} True in endless mode
+     */
+    isEndless() {
+        return this.world instanceof EndlessWorld;
+    }
+    
+    /**
+     * Capture everything needed to resume the run later
+     * @returns {Object} Run snapshot
+     */
+    createSnapshot() {
+        return {
+            seed: this.seed,
+            map: this.mapUrl,
+            endless: this.isEndless(),
+            streams: getStreamStates(),
+            elapsedTime: this.elapsedTime,
+            player: this.player.serialize(),
+            world: this.world.serialize(),
+            enemies: this.enemyManager.serialize(),
+            pickups: this.pickups.serialize(),
+            director: this.director.serialize()
+        };
+    }
+    
+    /**
+     * Save the current run, unless it has ended or never started
+     */
+    autosave() {
+        if (!this.runInProgress) return;
+        
+        this.autosaveTimer = 0;
+        saveRun(this.createSnapshot());
+    }
+    
+    /**
+     * Restore a saved run; falls back to a fresh run if the save is unusable
+     * @param {Object} snapshot - Run snapshot from createSnapshot()
+     */
+    resumeRun(snapshot) {
+        try {
+            this.seed = snapshot.seed;
+            restoreStreams(snapshot.seed, snapshot.streams);
+            this.elapsedTime = snapshot.elapsedTime;
+            this.world.restore(snapshot.world);
+            this.player.restore(snapshot.player);
+            this.enemyManager.restore(snapshot.enemies);
+            this.pickups.restore(snapshot.pickups);
+            this.director.restore(snapshot.director);
+        } catch (error) {
+            // Damaged or incompatible save: drop it and start fresh
+            clearRun();
+            this.createRun();
+            return;
+        }
+        
+        this.camera.setPosition(this.player.x - this.width / 2, this.player.y - this.height / 2);
+        this.runInProgress = true;
+        this.addNotification('Run resumed', '#4A90E2');
+    }
+    
+    /**
+     * Seed the random streams for a new run
+     */
+    seedRun() {
+        this.seed = this.fixedSeed ?? generateSeed();
+        setSeed(this.seed);
+    }
+    
+    /**
+     * Apply the upgrade picked on the level-up screen
+     * @param {Object} choice - Chosen upgrade offer
+     */
+    applyUpgrade(choice) {
+        this.player.pendingUpgrades--;
+        
+        if (choice.passive) {
+            if (applyPassiveUpgrade(this.player, choice.type)) {
+                this.addNotification(`${choice.name}: ${choice.current} → ${choice.next}`, '#FFD700');
+            }
+        } else if (choice.type === 'unlock') {
+            if (this.player.weapons.add(choice.weaponId)) {
+                this.addNotification(`New weapon: ${choice.name}`, '#9B59B6');
+            }
+        } else if (this.player.weapons.get(choice.weaponId).upgrade(choice.type)) {
+            this.addNotification(`${choice.name}: ${choice.current} → ${choice.next}`, '#FFD700');
+        }
+    }
+    
+    /**
+     * Count a kill and drop its pickups, as reported by the enemy's death event
+     * @param {Enemy} enemy - Enemy that was just killed
+     */
+    onEnemyKilled(enemy) {
+        this.player.addKill();
+        this.pickups.spawnDrops(enemy);
+        audio.play('death');
+        effects.deathBurst(enemy);
+        if (enemy.elite || enemy.definition.behavior === 'boss') {
+            effects.hitStop(CONFIG.EFFECTS.HIT_STOP.ELITE_KILL);
+            this.camera.addTrauma(CONFIG.CAMERA.SHAKE.BIG_KILL);
+        }
+    }
+    
+    /**
+     * End the current run and bank it in the meta-profile
+     */
+    endRun() {
+        this.isGameOver = true;
+        this.runInProgress = false;
+        this.updateUI();
+        
+        // The run is over for good
+        clearRun();
+        this.runResult = recordRun(this.profile, {
+            time: this.elapsedTime,
+            kills: this.player.killCount
+        });
+        saveProfile(this.profile);
+    }
+    
+    /**
+     * Fill in and show the results screen for the run that just ended
+     */
+    showResults() {
+        const { earned, newBest } = this.runResult;
+        this.resultTimeElement.textContent = formatTime(this.elapsedTime);
+        this.resultLevelElement.textContent = this.player.level;
+        this.resultWaveElement.textContent = this.director.getWaveNumber();
+        this.resultKillsElement.textContent = this.player.killCount;
+        this.resultSeedElement.textContent = this.seed;
+        this.resultCoinsElement.textContent = earned;
+        this.resultBestElement.textContent = formatTime(this.profile.bestTime) + (newBest ? ' (new best!)' : '');
+        this.metaShop.show(this.profile);
+        this.gameOverElement.classList.remove('hidden');
+    }
+    
+    /**
+     * Start a fresh run with the chosen loadout, replacing any saved one
+     */
+    startRun() {
+        clearRun();
+        this.createRun();
+        this.notifications = [];
+        if (this.settings.loadout) {
+            this.player.weapons.add(this.settings.loadout);
+        }
+        this.runInProgress = true;
     }
     
     /**
@@ -248,16 +797,6 @@ class Game {    constructor() {
             }
         }
     }
-    
-    /**
-     * Get the last upgrade type (simplified for demo)
-     * @returns {string} Upgrade description
-     */
-    getLastUpgradeType() {
-        const pattern = this.player.weaponSystem.firingPattern;
-        const level = this.player.weaponSystem.level;
-        return `${pattern} pattern (Level ${level})`;
-    }
 }
 
 // Initialize the game when the page loads
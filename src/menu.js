@@ -0,0 +1,499 @@
+/**
+ * Menu module - the pause menu, its options screen, the title screen and
+ * the loadout select
+ *
+ * Menus are HTML overlays like the level-up and results screens. Besides the
+ * mouse they are driven by input actions (up/down to move, left/right to
+ * adjust, confirm, pause to go back), so a gamepad can work them too.
+ * Option changes are reported through onChange and applied by the game.
+ */
+import { formatKeyCode } from './input.js';
+import { WEAPON_TYPES } from './weapons.js';
+
+// Rebindable actions in the order the options screen lists them
+const BINDING_LABELS = {
+    up: 'Move up',
+    down: 'Move down',
+    left: 'Move left',
+    right: 'Move right',
+    dash: 'Dash',
+    aimMode: 'Toggle aim',
+    pause: 'Pause',
+    confirm: 'Confirm',
+    restart: 'Restart',
+    mute: 'Mute',
+    effects: 'Toggle effects',
+    pattern: 'Change pattern',
+    multiShot: 'Upgrade multi-shot',
+    debug: 'Debug overlay'
+};
+
+// Steps for adjusting a volume with left/right
+const VOLUME_STEP = 0.1;
+
+// Keys the menus handle as actions; the browser must not also click or slide the focused control
+const MENU_KEYS = ['Enter', 'Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+
+/**
+ * A list of selectable controls; up/down moves the highlight
+ */
+class MenuList {
+    constructor() {
+        this.items = []; // {element, activate, adjust}
+        this.selectedIndex = 0;
+    }
+
+    /**
+     * Replace the items, keeping the highlight where it was if possible
+     * @param {Array} items - Items {element, activate, adjust}
+     */
+    setItems(items) {
+        this.items = items;
+        this.selectedIndex = Math.min(this.selectedIndex, items.length - 1);
+        items.forEach((item, index) => {
+            // Assigned rather than added, so re-listing the same elements doesn't stack handlers
+            item.element.onmouseenter = () => this.select(index);
+        });
+        this.updateSelection();
+    }
+
+    /**
+     * Highlight an item
+     * @param {number} index - Item position
+     */
+    select(index) {
+        this.selectedIndex = (index + this.items.length) % this.items.length;
+        this.updateSelection();
+    }
+
+    /**
+     * Mark the highlighted item
+     */
+    updateSelection() {
+        this.items.forEach((item, index) => {
+            item.element.classList.toggle('selected', index === this.selectedIndex);
+        });
+    }
+
+    /**
+     * Move, adjust or activate from this step's actions
+     * @param {InputHandler} input - Input handler, updated this step
+     */
+    handleInput(input) {
+        const item = this.items[this.selectedIndex];
+        if (input.wasPressed('up')) {
+            this.select(this.selectedIndex - 1);
+        } else if (input.wasPressed('down')) {
+            this.select(this.selectedIndex + 1);
+        } else if (item && item.adjust && input.wasPressed('left')) {
+            item.adjust(-1);
+        } else if (item && item.adjust && input.wasPressed('right')) {
+            item.adjust(1);
+        } else if (item && input.wasPressed('confirm')) {
+            item.activate();
+        }
+    }
+}
+
+/**
+ * Build a menu button
+ * @param {string} text - Label
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+function createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'menu-item';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Pause overlay with resume, restart, options and quit, and the options screen
+ */
+export class PauseMenu {
+    /**
+     * @param {InputHandler} input - Input handler whose key bindings the options screen edits
+     */
+    constructor(input) {
+        this.input = input;
+        this.element = document.getElementById('pause-menu');
+        this.mainElement = document.getElementById('pause-main');
+        this.optionsElement = document.getElementById('options');
+        this.optionListElement = document.getElementById('option-list');
+        this.bindingListElement = document.getElementById('binding-list');
+        this.isOpen = false;
+        this.panel = 'main'; // 'main' or 'options'
+        this.settings = null;
+        this.capturing = null; // Action waiting for a key to bind
+
+        // Set by the game
+        this.onResume = null;
+        this.onRestart = null;
+        this.onQuit = null;
+        this.onChange = null; // (key, value) when an option changes
+
+        this.mainList = new MenuList();
+        this.mainList.setItems([
+            { element: createButton('Resume', () => this.onResume()) },
+            { element: createButton('Restart', () => this.onRestart()) },
+            { element: createButton('Options', () => this.showPanel('options')) },
+            { element: createButton('Quit to Title', () => this.onQuit()) }
+        ].map(item => ({ ...item, activate: () => item.element.click() })));
+        document.getElementById('pause-items').replaceChildren(...this.mainList.items.map(item => item.element));
+        this.optionsList = new MenuList();
+
+        window.addEventListener('keydown', (e) => {
+            if (this.isOpen && MENU_KEYS.includes(e.code)) e.preventDefault();
+        });
+        // Capture phase, so a key being bound never reaches the game as an action
+        window.addEventListener('keydown', (e) => this.captureKey(e), true);
+    }
+
+    /**
+     * Open the menu on its main panel
+     * @param {Object} settings - Current settings, shown on the options screen
+     */
+    show(settings) {
+        this.settings = settings;
+        this.isOpen = true;
+        this.showPanel('main');
+        this.element.classList.remove('hidden');
+    }
+
+    /**
+     * Close the menu
+     */
+    hide() {
+        this.isOpen = false;
+        this.capturing = null;
+        this.element.classList.add('hidden');
+    }
+
+    /**
+     * Switch between the main panel and the options screen
+     * @param {string} panel - 'main' or 'options'
+     */
+    showPanel(panel) {
+        this.panel = panel;
+        this.capturing = null;
+        if (panel === 'options') {
+            this.renderOptions();
+        }
+        this.mainElement.classList.toggle('hidden', panel !== 'main');
+        this.optionsElement.classList.toggle('hidden', panel !== 'options');
+    }
+
+    /**
+     * Rebuild the options screen from the current settings
+     */
+    renderOptions() {
+        const items = [
+            this.createVolumeItem('master', 'Master volume'),
+            this.createVolumeItem('music', 'Music volume'),
+            this.createVolumeItem('sfx', 'Effects volume'),
+            this.createToggleItem('screenShake', 'Screen shake'),
+            this.createToggleItem('damageNumbers', 'Damage numbers'),
+            this.createToggleItem('colorBlind', 'Colour-blind palette'),
+            this.createAimItem()
+        ];
+        const bindings = Object.keys(BINDING_LABELS).map(action => this.createBindingItem(action));
+        const reset = createButton('Reset keys', () => {
+            this.input.resetBindings();
+            this.renderOptions();
+        });
+        const back = createButton('Back', () => this.showPanel('main'));
+
+        this.optionListElement.replaceChildren(...items.map(item => item.element));
+        this.bindingListElement.replaceChildren(...bindings.map(item => item.element), reset, back);
+        this.optionsList.setItems([
+            ...items,
+            ...bindings,
+            { element: reset, activate: () => reset.click() },
+            { element: back, activate: () => back.click() }
+        ]);
+    }
+
+    /**
+     * Build a labelled option row
+     * @param {string} text - Label
+     * @param {HTMLElement} control - Control shown on the right
+     * @returns {HTMLElement} Row element
+     */
+    createRow(text, control) {
+        const row = document.createElement('div');
+        row.className = 'option-row menu-item';
+        const label = document.createElement('span');
+        label.textContent = text;
+        row.append(label, control);
+        return row;
+    }
+
+    /**
+     * Build a volume slider for one audio bus
+     * @param {string} bus - 'master', 'music' or 'sfx'
+     * @param {string} text - Label
+     * @returns {Object} Menu item
+     */
+    createVolumeItem(bus, text) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.value = String(Math.round(this.settings.volumes[bus] * 100));
+
+        const setVolume = (volume) => {
+            const clamped = Math.max(0, Math.min(1, Math.round(volume * 100) / 100));
+            slider.value = String(Math.round(clamped * 100));
+            this.onChange('volumes', { ...this.settings.volumes, [bus]: clamped });
+        };
+        slider.addEventListener('input', () => setVolume(Number(slider.value) / 100));
+
+        return {
+            element: this.createRow(text, slider),
+            activate: () => {},
+            adjust: (direction) => setVolume(this.settings.volumes[bus] + direction * VOLUME_STEP)
+        };
+    }
+
+    /**
+     * Build an on/off option
+     * @param {string} key - Settings field
+     * @param {string} text - Label
+     * @returns {Object} Menu item
+     */
+    createToggleItem(key, text) {
+        const button = document.createElement('button');
+        const update = () => {
+            button.textContent = this.settings[key] ? 'On' : 'Off';
+        };
+        const toggle = () => {
+            this.onChange(key, !this.settings[key]);
+            update();
+        };
+        button.addEventListener('click', toggle);
+        update();
+
+        return { element: this.createRow(text, button), activate: toggle, adjust: toggle };
+    }
+
+    /**
+     * Build the auto/manual aim option
+     * @returns {Object} Menu item
+     */
+    createAimItem() {
+        const button = document.createElement('button');
+        const update = () => {
+            button.textContent = this.settings.aimMode === 'manual' ? 'Manual' : 'Auto';
+        };
+        const toggle = () => {
+            this.onChange('aimMode', this.settings.aimMode === 'manual' ? 'auto' : 'manual');
+            update();
+        };
+        button.addEventListener('click', toggle);
+        update();
+
+        return { element: this.createRow('Aim', button), activate: toggle, adjust: toggle };
+    }
+
+    /**
+     * Build a key binding row; activating it waits for the next key press
+     * @param {string} action - Action name
+     * @returns {Object} Menu item
+     */
+    createBindingItem(action) {
+        const button = document.createElement('button');
+        button.textContent = this.capturing === action
+            ? 'Press a key…'
+            : this.input.bindings[action].map(formatKeyCode).join(' / ') || 'unbound';
+        const capture = () => {
+            this.capturing = action;
+            this.renderOptions();
+        };
+        button.addEventListener('click', capture);
+
+        return { element: this.createRow(BINDING_LABELS[action], button), activate: capture };
+    }
+
+    /**
+     * Bind the next key press while a binding row is waiting for one;
+     * Escape cancels
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    captureKey(e) {
+        if (!this.isOpen || !this.capturing) return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        if (e.code !== 'Escape') {
+            // The new key becomes the main one; any others bound to the action stay
+            const codes = this.input.bindings[this.capturing].filter(code => code !== e.code);
+            this.input.setBinding(this.capturing, [e.code, ...codes.slice(1)]);
+        }
+        this.capturing = null;
+        this.renderOptions();
+    }
+
+    /**
+     * Navigate with the input actions; pause goes back a level, then resumes
+     * @param {InputHandler} input - Input handler, updated this step
+     */
+    handleInput(input) {
+        if (!this.isOpen) return;
+
+        if (this.capturing) {
+            // Keys are taken by captureKey(); a gamepad can only cancel
+            if (input.wasPressed('pause')) {
+                this.capturing = null;
+                this.renderOptions();
+            }
+            return;
+        }
+
+        if (input.wasPressed('pause')) {
+            if (this.panel === 'options') {
+                this.showPanel('main');
+            } else {
+                this.onResume();
+            }
+            return;
+        }
+        (this.panel === 'main' ? this.mainList : this.optionsList).handleInput(input);
+    }
+}
+
+/**
+ * Title overlay shown once loading is done, and after quitting a run
+ */
+export class TitleScreen {
+    constructor() {
+        this.element = document.getElementById('title-screen');
+        this.continueButton = document.getElementById('title-continue');
+        this.newRunButton = document.getElementById('title-new-run');
+        this.isOpen = false;
+
+        // Set by the game
+        this.onContinue = null;
+        this.onNewRun = null;
+
+        this.list = new MenuList();
+        this.continueButton.addEventListener('click', () => this.onContinue());
+        this.newRunButton.addEventListener('click', () => this.onNewRun());
+        window.addEventListener('keydown', (e) => {
+            if (this.isOpen && MENU_KEYS.includes(e.code)) e.preventDefault();
+        });
+    }
+
+    /**
+     * Show the title screen
+     * @param {boolean} canContinue - Whether there is a run to go back to
+     */
+    show(canContinue) {
+        this.isOpen = true;
+        this.continueButton.classList.toggle('hidden', !canContinue);
+        const buttons = canContinue ? [this.continueButton, this.newRunButton] : [this.newRunButton];
+        this.list.setItems(buttons.map(button => ({ element: button, activate: () => button.click() })));
+        this.list.select(0);
+        this.element.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the title screen
+     */
+    hide() {
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+    }
+
+    /**
+     * Navigate with the input actions
+     * @param {InputHandler} input - Input handler, updated this step
+     */
+    handleInput(input) {
+        if (this.isOpen) {
+            this.list.handleInput(input);
+        }
+    }
+}
+
+/**
+ * Loadout overlay: pick the weapon a new run starts with alongside the bolt
+ */
+export class LoadoutScreen {
+    constructor() {
+        this.element = document.getElementById('loadout-screen');
+        this.itemsElement = document.getElementById('loadout-items');
+        this.isOpen = false;
+
+        // Set by the game
+        this.onPick = null; // (weaponId) when a loadout is chosen
+        this.onBack = null;
+
+        this.list = new MenuList();
+        window.addEventListener('keydown', (e) => {
+            if (this.isOpen && MENU_KEYS.includes(e.code)) e.preventDefault();
+        });
+    }
+
+    /**
+     * Show the loadouts; every weapon that can be offered on level-up can be picked
+     * @param {string|null} selected - Weapon picked last time, highlighted first
+     */
+    show(selected) {
+        const weaponIds = Object.keys(WEAPON_TYPES).filter(id => WEAPON_TYPES[id].weight > 0);
+        const items = weaponIds.map(id => {
+            const button = this.createLoadoutButton(id);
+            return { element: button, activate: () => button.click() };
+        });
+        const back = createButton('Back', () => this.onBack());
+
+        this.itemsElement.replaceChildren(...items.map(item => item.element), back);
+        this.list.setItems([...items, { element: back, activate: () => back.click() }]);
+        this.list.select(Math.max(0, weaponIds.indexOf(selected)));
+        this.isOpen = true;
+        this.element.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the loadout select
+     */
+    hide() {
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+    }
+
+    /**
+     * Build the button for one loadout
+     * @param {string} weaponId - Weapon type id
+     * @returns {HTMLButtonElement} Button element
+     */
+    createLoadoutButton(weaponId) {
+        const definition = WEAPON_TYPES[weaponId];
+        const button = createButton('', () => this.onPick(weaponId));
+        button.classList.add('loadout-item');
+
+        const name = document.createElement('div');
+        name.className = 'loadout-name';
+        name.textContent = `Bolt + ${definition.name}`;
+        const description = document.createElement('div');
+        description.className = 'loadout-description';
+        description.textContent = definition.description;
+        button.append(name, description);
+        return button;
+    }
+
+    /**
+     * Navigate with the input actions; pause goes back to the title
+     * @param {InputHandler} input - Input handler, updated this step
+     */
+    handleInput(input) {
+        if (!this.isOpen) return;
+
+        if (input.wasPressed('pause')) {
+            this.onBack();
+            return;
+        }
+        this.list.handleInput(input);
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * Meta module - permanent progression carried between runs
+ *
+ * Each finished run adds to the profile's records and pays out coins. Coins
+ * buy levels of the bonuses in CONFIG.META.BONUSES, which raise the
+ * CONFIG.PLAYER / CONFIG.WEAPON baselines that new runs start from.
+ */
+import { CONFIG } from './config.js';
+import { saveProfile } from './save.js';
+
+// Untouched baselines, captured before any bonus is applied
+const BASELINES = {
+    PLAYER: { ...CONFIG.PLAYER },
+    WEAPON: { ...CONFIG.WEAPON }
+};
+
+/**
+ * Reset the baselines and apply the profile's purchased bonuses. Call before
+ * creating the player so the new run starts from the boosted values.
+ * @param {Object} profile - Meta-profile
+ */
+export function applyMetaBonuses(profile) {
+    Object.assign(CONFIG.PLAYER, BASELINES.PLAYER);
+    Object.assign(CONFIG.WEAPON, BASELINES.WEAPON);
+
+    for (const [id, bonus] of Object.entries(CONFIG.META.BONUSES)) {
+        const level = Math.min(profile.bonuses[id] || 0, bonus.maxLevel);
+        CONFIG[bonus.section][bonus.stat] = BASELINES[bonus.section][bonus.stat] + bonus.step * level;
+    }
+}
+
+/**
+ * Get the price of a bonus's next level
+ * @param {Object} profile - Meta-profile
+ * @param {string} id - Key into CONFIG.META.BONUSES
+ * @returns {number|null} Coin cost, or null if the bonus is maxed
+ */
+export function getBonusCost(profile, id) {
+    const bonus = CONFIG.META.BONUSES[id];
+    const level = profile.bonuses[id] || 0;
+    if (level >= bonus.maxLevel) return null;
+    return Math.round(bonus.cost * Math.pow(bonus.costGrowth, level));
+}
+
+/**
+ * Buy the next level of a bonus if the profile can afford it
+ * @param {Object} profile - Meta-profile
+ * @param {string} id - Key into CONFIG.META.BONUSES
+ * @returns {boolean} True if the purchase went through
+ */
+export function purchaseBonus(profile, id) {
+    const cost = getBonusCost(profile, id);
+    if (cost === null || profile.currency < cost) return false;
+
+    profile.currency -= cost;
+    profile.bonuses[id] = (profile.bonuses[id] || 0) + 1;
+    return true;
+}
+
+/**
+ * Add a finished run to the profile's records and pay out coins
+ * @param {Object} profile - Meta-profile
+ * @param {Object} run - {time, kills}
+ * @returns {Object} {earned, newBest}
+ */
+export function recordRun(profile, { time, kills }) {
+    const earned = Math.floor(kills * CONFIG.META.COINS_PER_KILL + (time / 60000) * CONFIG.META.COINS_PER_MINUTE);
+    const newBest = time > profile.bestTime;
+
+    profile.bestTime = Math.max(profile.bestTime, time);
+    profile.totalKills += kills;
+    profile.runs++;
+    profile.currency += earned;
+
+    return { earned, newBest };
+}
+
+/**
+ * Shop on the results screen for spending coins on permanent bonuses
+ */
+export class MetaShop {
+    constructor() {
+        this.currencyElement = document.getElementById('meta-currency');
+        this.listElement = document.getElementById('meta-bonuses');
+        this.profile = null;
+    }
+
+    /**
+     * Show the bonuses for a profile
+     * @param {Object} profile - Meta-profile to spend from
+     */
+    show(profile) {
+        this.profile = profile;
+        this.render();
+    }
+
+    /**
+     * Rebuild the bonus list and coin total
+     */
+    render() {
+        this.currencyElement.textContent = this.profile.currency;
+        this.listElement.replaceChildren(
+            ...Object.keys(CONFIG.META.BONUSES).map(id => this.createRow(id))
+        );
+    }
+
+    /**
+     * Build the DOM for one bonus
+     * @param {string} id - Key into CONFIG.META.BONUSES
+     * @returns {HTMLElement} Row element
+     */
+    createRow(id) {
+        const bonus = CONFIG.META.BONUSES[id];
+        const level = this.profile.bonuses[id] || 0;
+        const cost = getBonusCost(this.profile, id);
+
+        const row = document.createElement('div');
+        row.className = 'meta-bonus';
+
+        const label = document.createElement('span');
+        label.textContent = `${bonus.name} ${level}/${bonus.maxLevel} · ${bonus.description}`;
+
+        const button = document.createElement('button');
+        button.textContent = cost === null ? 'Maxed' : `Buy (${cost})`;
+        button.disabled = cost === null || this.profile.currency < cost;
+        button.addEventListener('click', () => {
+            if (purchaseBonus(this.profile, id)) {
+                saveProfile(this.profile);
+                this.render();
+            }
+        });
+
+        row.append(label, button);
+        return row;
+    }
+}
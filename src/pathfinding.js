@@ -0,0 +1,156 @@
+/**
+ * Pathfinding module - player-centred flow field shared by all enemies
+ *
+ * One breadth-first search from the player's tile gives every tile in a
+ * window around them its walking distance to the player. Enemies then just
+ * step to whichever neighbouring tile is closer, so the cost does not grow
+ * with the number of enemies.
+ */
+import { CONFIG } from './config.js';
+
+// Neighbour offsets: orthogonal first, then diagonal
+const NEIGHBOURS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+export class FlowField {
+    constructor() {
+        this.radius = CONFIG.PATHFINDING.RADIUS; // tiles around the target
+        this.size = this.radius * 2 + 1;
+        this.distances = new Int32Array(this.size * this.size);
+        this.queue = new Int32Array(this.size * this.size);
+        this.originX = 0; // Tile coordinates of the window's top-left corner
+        this.originY = 0;
+        this.targetTileX = null;
+        this.targetTileY = null;
+        this.world = null;
+        this.revision = -1; // World revision the field was built for
+    }
+
+    /**
+     * Rebuild the field if the target moved to a different tile or the map changed
+     * @param {World} world - World instance
+     * @param {number} targetX - Target X in world coordinates
+     * @param {number} targetY - Target Y in world coordinates
+     */
+    update(world, targetX, targetY) {
+        const tileX = Math.floor(targetX / world.tileSize);
+        const tileY = Math.floor(targetY / world.tileSize);
+
+        if (tileX === this.targetTileX && tileY === this.targetTileY &&
+            world === this.world && world.revision === this.revision) {
+            return;
+        }
+
+        this.targetTileX = tileX;
+        this.targetTileY = tileY;
+        this.world = world;
+        this.revision = world.revision;
+        this.build();
+    }
+
+    /**
+     * Mark the field stale so the next update rebuilds it (e.g. after the map changes)
+     */
+    invalidate() {
+        this.targetTileX = null;
+        this.targetTileY = null;
+    }
+
+    /**
+     * Breadth-first search outwards from the target tile
+     */
+    build() {
+        const { world, size } = this;
+        this.originX = this.targetTileX - this.radius;
+        this.originY = this.targetTileY - this.radius;
+        this.distances.fill(-1);
+
+        if (!world.isWalkableTile(this.targetTileX, this.targetTileY)) return;
+
+        const start = this.radius * size + this.radius;
+        this.distances[start] = 0;
+        this.queue[0] = start;
+        let head = 0;
+        let tail = 1;
+
+        while (head < tail) {
+            const index = this.queue[head++];
+            const localX = index % size;
+            const localY = (index - localX) / size;
+            const nextDistance = this.distances[index] + 1;
+
+            // Orthogonal steps only; diagonals are smoothed in at lookup time
+            for (let n = 0; n < 4; n++) {
+                const nx = localX + NEIGHBOURS[n][0];
+                const ny = localY + NEIGHBOURS[n][1];
+                if (nx < 0 || ny < 0 || nx >= size || ny >= size) continue;
+
+                const neighbour = ny * size + nx;
+                if (this.distances[neighbour] !== -1) continue;
+                if (!world.isWalkableTile(this.originX + nx, this.originY + ny)) continue;
+
+                this.distances[neighbour] = nextDistance;
+                this.queue[tail++] = neighbour;
+            }
+        }
+    }
+
+    /**
+     * Get the walking distance from a tile to the target
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @returns {number} Distance in tiles, or -1 if unreachable or outside the field
+     */
+    getDistance(tileX, tileY) {
+        const localX = tileX - this.originX;
+        const localY = tileY - this.originY;
+        if (localX < 0 || localY < 0 || localX >= this.size || localY >= this.size) {
+            return -1;
+        }
+        return this.distances[localY * this.size + localX];
+    }
+
+    /**
+     * Get the centre of the next tile to walk to from a position
+     * @param {number} x - Current X in world coordinates
+     * @param {number} y - Current Y in world coordinates
+     * @returns {Object|null} Waypoint {x, y}, or null if there is no path from here
+     */
+    getNextWaypoint(x, y) {
+        if (!this.world) return null;
+
+        const tileSize = this.world.tileSize;
+        const tileX = Math.floor(x / tileSize);
+        const tileY = Math.floor(y / tileSize);
+        const current = this.getDistance(tileX, tileY);
+        if (current <= 0) return null;
+
+        let bestX = 0;
+        let bestY = 0;
+        let bestDistance = current;
+
+        for (const [offsetX, offsetY] of NEIGHBOURS) {
+            const distance = this.getDistance(tileX + offsetX, tileY + offsetY);
+            if (distance < 0 || distance >= bestDistance) continue;
+
+            // No cutting corners past walls on diagonal steps
+            if (offsetX !== 0 && offsetY !== 0 &&
+                (this.getDistance(tileX + offsetX, tileY) < 0 || this.getDistance(tileX, tileY + offsetY) < 0)) {
+                continue;
+            }
+
+            bestX = offsetX;
+            bestY = offsetY;
+            bestDistance = distance;
+        }
+
+        if (bestDistance === current) return null;
+
+        return {
+            x: (tileX + bestX + 0.5) * tileSize,
+            y: (tileY + bestY + 0.5) * tileSize
+        };
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * Pickups module - XP gems and items dropped by enemies
+ *
+ * Pickups lie where they dropped until the player comes within their magnet
+ * radius, then fly to the player and are collected on contact.
+ */
+import { COLORS, lerp } from './utils.js';
+import { CONFIG } from './config.js';
+import { getRandom } from './random.js';
+import { Pool } from './pool.js';
+import { effects } from './effects.js';
+
+export class Pickup {
+    constructor() {
+        this.reset(0, 0, 'gem', 0);
+    }
+
+    /**
+     * (Re)initialise the pickup, so pooled instances can be reused
+     * @param {number} x - Drop X
+     * @param {number} y - Drop Y
+     * @param {string} kind - 'gem', 'health' or 'vacuum'
+     * @param {number} value - XP for gems, health restored for health pickups
+     */
+    reset(x, y, kind, value) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x; // Position at the previous simulation step, for render interpolation
+        this.prevY = y;
+        this.kind = kind;
+        this.value = value;
+        this.active = true;
+        this.attracted = false; // Once pulled in, a pickup keeps coming
+        this.speed = 0;
+        this.age = 0; // ms since dropped, for the idle bob
+
+        if (kind === 'gem') {
+            const tier = getGemTier(value);
+            this.radius = tier.radius;
+            this.tierColor = tier.color;
+        } else {
+            this.radius = 6;
+            this.tierColor = null;
+        }
+    }
+
+    /**
+     * Get the colour to draw the pickup in; items follow the current palette,
+     * so switching it recolours pickups already on the ground
+     * @returns {string} CSS colour
+     */
+    getColor() {
+        switch (this.kind) {
+            case 'health':
+                return COLORS.PICKUP_HEALTH;
+            case 'vacuum':
+                return COLORS.PICKUP_VACUUM;
+            default:
+                return this.tierColor;
+        }
+    }
+
+    /**
+     * Fly towards the player once attracted
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {Player} player - Player instance
+     */
+    update(deltaTime, player) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.age += deltaTime;
+
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (!this.attracted && distance <= player.magnetRadius) {
+            this.attracted = true;
+            this.speed = CONFIG.PICKUPS.ATTRACT_SPEED;
+        }
+        if (!this.attracted || distance === 0) return;
+
+        const seconds = deltaTime / 1000;
+        this.speed += CONFIG.PICKUPS.ATTRACT_ACCELERATION * seconds;
+        const moveDistance = Math.min(distance, this.speed * seconds);
+        this.x += dx / distance * moveDistance;
+        this.y += dy / distance * moveDistance;
+    }
+
+    /**
+     * Check whether the player is touching the pickup
+     * @param {Player} player - Player instance
+     * @returns {boolean} True if close enough to collect
+     */
+    isTouching(player) {
+        const reach = player.width / 2 + this.radius;
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        return dx * dx + dy * dy <= reach * reach;
+    }
+
+    /**
+     * Render the pickup
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(ctx, alpha = 1) {
+        const x = lerp(this.prevX, this.x, alpha);
+        // Idle pickups bob gently so they stand out from the floor
+        const y = lerp(this.prevY, this.y, alpha) + (this.attracted ? 0 : Math.sin(this.age / 200) * 1.5);
+        const r = this.radius;
+        const color = this.getColor();
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        switch (this.kind) {
+            case 'health':
+                // Plus sign
+                ctx.rect(x - r, y - r / 3, r * 2, r * 2 / 3);
+                ctx.rect(x - r / 3, y - r, r * 2 / 3, r * 2);
+                break;
+            case 'vacuum':
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                break;
+            default:
+                // Diamond
+                ctx.moveTo(x, y - r);
+                ctx.lineTo(x + r * 0.7, y);
+                ctx.lineTo(x, y + r);
+                ctx.lineTo(x - r * 0.7, y);
+                ctx.closePath();
+        }
+        ctx.fill();
+
+        if (this.kind === 'vacuum') {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(x, y, r + 3 + Math.sin(this.age / 150) * 1.5, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+}
+
+/**
+ * Get the size and colour for a gem's XP value
+ * @param {number} value - Gem XP value
+ * @returns {Object} Gem tier {minValue, radius, color}
+ */
+export function getGemTier(value) {
+    const tiers = CONFIG.PICKUPS.GEM_TIERS;
+    let tier = tiers[0];
+    for (const candidate of tiers) {
+        if (value >= candidate.minValue) tier = candidate;
+    }
+    return tier;
+}
+
+export class PickupManager {
+    constructor() {
+        this.pool = new Pool(() => new Pickup());
+        this.pickups = this.pool.items; // Live pickups, recycled through the pool
+    }
+
+    /**
+     * Drop an XP gem, and maybe an item, where an enemy died
+     * @param {Enemy} enemy - Enemy that was just killed
+     */
+    spawnDrops(enemy) {
+        const random = getRandom('drops');
+        this.pool.acquire(enemy.x, enemy.y, 'gem', enemy.xp);
+
+        // Items land beside the gem so both stay visible
+        const roll = random.next();
+        const itemX = enemy.x + (random.next() - 0.5) * 24;
+        const itemY = enemy.y + (random.next() - 0.5) * 24;
+        if (roll < CONFIG.PICKUPS.VACUUM_CHANCE) {
+            this.pool.acquire(itemX, itemY, 'vacuum', 0);
+        } else if (roll < CONFIG.PICKUPS.VACUUM_CHANCE + CONFIG.PICKUPS.HEALTH_CHANCE) {
+            this.pool.acquire(itemX, itemY, 'health', CONFIG.PICKUPS.HEALTH_AMOUNT);
+        }
+    }
+
+    /**
+     * Move attracted pickups and apply any the player touches
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {Player} player - Player instance
+     * @returns {number} Number of pickups collected this step
+     */
+    update(deltaTime, player) {
+        this.pool.flush();
+        let collected = 0;
+
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+            pickup.update(deltaTime, player);
+
+            if (pickup.isTouching(player)) {
+                this.collect(pickup, player);
+                this.pool.releaseAt(i);
+                collected++;
+            }
+        }
+        return collected;
+    }
+
+    /**
+     * Apply a pickup's effect to the player
+     * @param {Pickup} pickup - Collected pickup
+     * @param {Player} player - Player instance
+     */
+    collect(pickup, player) {
+        pickup.active = false;
+        effects.sparkle(pickup.x, pickup.y, pickup.getColor());
+
+        switch (pickup.kind) {
+            case 'health':
+                player.heal(pickup.value);
+                break;
+            case 'vacuum':
+                this.attractAllGems();
+                break;
+            default:
+                player.gainExperience(pickup.value);
+        }
+    }
+
+    /**
+     * Pull every gem on the map towards the player
+     */
+    attractAllGems() {
+        for (const pickup of this.pickups) {
+            if (pickup.kind === 'gem' && !pickup.attracted) {
+                pickup.attracted = true;
+                pickup.speed = CONFIG.PICKUPS.ATTRACT_SPEED;
+            }
+        }
+    }
+
+    /**
+     * Render all pickups
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(ctx, alpha = 1) {
+        for (const pickup of this.pickups) {
+            pickup.render(ctx, alpha);
+        }
+    }
+
+    /**
+     * Capture pickups lying in the world for a saved run
+     * @returns {Array} Array of {kind, x, y, value}
+     */
+    serialize() {
+        return this.pickups.map(({ kind, x, y, value }) => ({ kind, x, y, value }));
+    }
+
+    /**
+     * Replace all pickups with those from a saved run
+     * @param {Array} saved - Snapshot from serialize()
+     */
+    restore(saved) {
+        this.pool.releaseAll();
+        for (const { kind, x, y, value } of saved) {
+            this.pool.acquire(x, y, kind, value);
+        }
+    }
+
+    /**
+     * Get pool usage for the debug overlay
+     * @returns {Object} Pickup pool stats
+     */
+    getPoolStats() {
+        return this.pool.getStats();
+    }
+}
@@ -1,15 +1,21 @@
 /**
  * Player module - handles player entity, movement, and rendering
  */
-import { COLORS } from './utils.js';
+import { COLORS, lerp } from './utils.js';
 import { CONFIG } from './config.js';
-import { WeaponSystem } from './projectile.js';
+import { Arsenal } from './weapons.js';
+import { Sprite, getFacing } from './sprites.js';
+import { audio } from './audio.js';
 export class Player {    constructor(x, y) {
         this.x = x;
         this.y = y;
+        this.prevX = x; // Position at the previous simulation step, for render interpolation
+        this.prevY = y;
         this.width = CONFIG.PLAYER.WIDTH;
         this.height = CONFIG.PLAYER.HEIGHT;
         this.speed = CONFIG.PLAYER.SPEED; // pixels per second
+        this.velocityX = 0; // Eases towards the steered speed
+        this.velocityY = 0;
         this.health = CONFIG.PLAYER.MAX_HEALTH;
         this.maxHealth = CONFIG.PLAYER.MAX_HEALTH;
         
@@ -17,71 +23,316 @@ export class Player {    constructor(x, y) {
         this.experience = 0;
         this.level = 1;
         this.killCount = 0;
+        this.pendingUpgrades = 0; // Level-ups waiting for an upgrade choice
+        this.magnetRadius = CONFIG.PICKUPS.MAGNET_RADIUS; // Pickups inside this fly to the player
         
-        // Add weapon system
-        this.weaponSystem = new WeaponSystem(this);
+        // Damage response state
+        this.invulnerabilityTimer = 0;
+        this.knockbackX = 0;
+        this.knockbackY = 0;
+        this.knockbackTimer = 0;
+        this.terrainDamage = 0; // Terrain damage built up but not yet taken, so health stays whole
+        
+        // Dash: a short burst of speed that can't be hurt, on a cooldown
+        this.dashCooldown = CONFIG.PLAYER.DASH.COOLDOWN; // ms; lowered by upgrades
+        this.dashCooldownTimer = 0; // ms until the next dash
+        this.dashTimer = 0; // ms left of the current dash
+        this.dashX = 0;
+        this.dashY = 0;
+        this.dashQueued = false; // Dash pressed while the action was frozen, taken on the next step
+        this.lastDirectionX = 0; // Last steered direction, for dashing while standing still
+        this.lastDirectionY = 1;
+        this.aim = null; // Unit vector the bolt fires along in manual aim mode; null to auto-target
+        
+        // Animation: clips from the 'player' sprite sheet, if it loaded
+        this.sprite = new Sprite('player');
+        this.facing = 'down'; // Last direction walked: 'up', 'down', 'left' or 'right'
+        
+        // Weapons, starting with the bolt; weaponSystem stays a direct handle to it
+        this.weapons = new Arsenal(this);
+        this.weaponSystem = this.weapons.add(CONFIG.WEAPON.STARTING_WEAPON);
     }
       /**
      * Update player state based on input and world constraints
      * @param {number} deltaTime - Time elapsed since last frame
      * @param {InputHandler} inputHandler - Input handler instance
      * @param {World} world - World instance for collision detection
-     * @param {Array} enemies - Array of enemy entities (for auto-targeting)
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies (for auto-targeting)
      */
-    update(deltaTime, inputHandler, world, enemies = []) {
-        const moveDistance = this.speed * (deltaTime / 1000);
-        let newX = this.x;
-        let newY = this.y;
+    update(deltaTime, inputHandler, world, enemyIndex) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.invulnerabilityTimer = Math.max(0, this.invulnerabilityTimer - deltaTime);
         
-        // Handle movement input
-        if (inputHandler.isKeyPressed('KeyW') || inputHandler.isKeyPressed('ArrowUp')) {
-            newY -= moveDistance;
+        // Apply knockback from the last hit
+        if (this.knockbackTimer > 0) {
+            this.knockbackTimer -= deltaTime;
+            this.moveWithCollision(
+                this.knockbackX * (deltaTime / 1000),
+                this.knockbackY * (deltaTime / 1000),
+                world
+            );
         }
-        if (inputHandler.isKeyPressed('KeyS') || inputHandler.isKeyPressed('ArrowDown')) {
-            newY += moveDistance;
+        
+        // Terrain underfoot slows the player and may hurt them
+        const terrain = world.getTerrainAt(this.x, this.y);
+        if (terrain.damage > 0) {
+            this.takeTerrainDamage(terrain.damage * (deltaTime / 1000));
         }
-        if (inputHandler.isKeyPressed('KeyA') || inputHandler.isKeyPressed('ArrowLeft')) {
-            newX -= moveDistance;
+        
+        // Handle movement input (keys, d-pad, stick or touch joystick)
+        const direction = inputHandler.getMovementDirection();
+        if (direction.x !== 0 || direction.y !== 0) {
+            const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+            this.lastDirectionX = direction.x / length;
+            this.lastDirectionY = direction.y / length;
         }
-        if (inputHandler.isKeyPressed('KeyD') || inputHandler.isKeyPressed('ArrowRight')) {
-            newX += moveDistance;
+        
+        this.dashCooldownTimer = Math.max(0, this.dashCooldownTimer - deltaTime);
+        if (inputHandler.wasPressed('dash') || this.dashQueued) {
+            this.dashQueued = false;
+            this.dash();
         }
         
-        // Check collision with world bounds and obstacles
-        if (world.canMoveTo(newX, this.y, this.width, this.height)) {
-            this.x = newX;
+        if (this.dashTimer > 0) {
+            this.updateDash(deltaTime, this.speed * terrain.speed);
+        } else {
+            this.accelerate(direction, this.speed * terrain.speed, deltaTime);
         }
-        if (world.canMoveTo(this.x, newY, this.width, this.height)) {
-            this.y = newY;
+        
+        // Check collision with world bounds and obstacles; a blocked axis stops dead
+        const seconds = deltaTime / 1000;
+        const startX = this.x;
+        const startY = this.y;
+        this.moveWithCollision(this.velocityX * seconds, this.velocityY * seconds, world);
+        if (this.x === startX) this.velocityX = 0;
+        if (this.y === startY) this.velocityY = 0;
+        this.updateAnimation(deltaTime, this.velocityX, this.velocityY);
+        
+        // Update weapons
+        this.weapons.update(deltaTime, world, enemyIndex);
+    }
+    
+    /**
+     * Ease the velocity towards the steered speed, or slow to a stop without input
+     * @param {Object} direction - Movement direction with length at most 1
+     * @param {number} maxSpeed - Speed at full tilt, in pixels per second
+     * @param {number} deltaTime - Time elapsed since last frame
+     */
+    accelerate(direction, maxSpeed, deltaTime) {
+        const steering = direction.x !== 0 || direction.y !== 0;
+        const rate = steering ? CONFIG.PLAYER.ACCELERATION : CONFIG.PLAYER.FRICTION;
+        const maxChange = rate * (deltaTime / 1000);
+        
+        const dx = direction.x * maxSpeed - this.velocityX;
+        const dy = direction.y * maxSpeed - this.velocityY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance <= maxChange) {
+            this.velocityX += dx;
+            this.velocityY += dy;
+        } else {
+            this.velocityX += dx / distance * maxChange;
+            this.velocityY += dy / distance * maxChange;
         }
+    }
+    
+    /**
+     * Start a dash the way the player is steering (or last steered), if it has recharged
+     * @returns {boolean} True if the dash started
+     */
+    dash() {
+        if (this.dashCooldownTimer > 0 || this.dashTimer > 0 || !this.isAlive()) return false;
         
-        // Update weapon system
-        this.weaponSystem.update(deltaTime, world, enemies);
+        this.dashTimer = CONFIG.PLAYER.DASH.DURATION;
+        this.dashCooldownTimer = this.dashCooldown;
+        this.dashX = this.lastDirectionX;
+        this.dashY = this.lastDirectionY;
+        audio.play('dash');
+        return true;
     }
-      /**
+    
+    /**
+     * Hold a dash press until the player next updates (e.g. through hit-stop)
+     */
+    queueDash() {
+        this.dashQueued = true;
+    }
+    
+    /**
+     * Carry the dash along; at its end the player drops back to walking speed
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {number} maxSpeed - Walking speed on the terrain underfoot
+     */
+    updateDash(deltaTime, maxSpeed) {
+        this.dashTimer = Math.max(0, this.dashTimer - deltaTime);
+        this.velocityX = this.dashX * CONFIG.PLAYER.DASH.SPEED;
+        this.velocityY = this.dashY * CONFIG.PLAYER.DASH.SPEED;
+        
+        if (this.dashTimer === 0) {
+            this.velocityX = this.dashX * maxSpeed;
+            this.velocityY = this.dashY * maxSpeed;
+        }
+    }
+    
+    /**
+     * Aim the bolt by hand, or hand it back to auto-targeting
+     * @param {Object|null} direction - Direction to fire in (normalized here), or null
+     */
+    setAim(direction) {
+        const length = direction ? Math.sqrt(direction.x * direction.x + direction.y * direction.y) : 0;
+        this.aim = length > 0 ? { x: direction.x / length, y: direction.y / length } : null;
+    }
+    
+    /**
+     * Check if a dash is under way
+     * @returns {boolean} True while dashing
+     */
+    isDashing() {
+        return this.dashTimer > 0;
+    }
+    
+    /**
+     * Get how far the dash has recharged
+     * @returns {number} Progress (0-1); 1 when ready
+     */
+    getDashProgress() {
+        return 1 - this.dashCooldownTimer / this.dashCooldown;
+    }
+    
+    /**
+     * Move by an offset, stopping on whichever axis is blocked
+     * @param {number} dx - X offset
+     * @param {number} dy - Y offset
+     * @param {World} world - World instance for collision detection
+     */
+    moveWithCollision(dx, dy, world) {
+        if (world.canMoveTo(this.x + dx, this.y, this.width, this.height)) {
+            this.x += dx;
+        }
+        if (world.canMoveTo(this.x, this.y + dy, this.width, this.height)) {
+            this.y += dy;
+        }
+    }
+    
+    /**
+     * Pick the clip for what the player is doing and advance it
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {number} moveX - X velocity this step
+     * @param {number} moveY - Y velocity this step
+     */
+    updateAnimation(deltaTime, moveX, moveY) {
+        const moving = moveX !== 0 || moveY !== 0;
+        this.facing = getFacing(moveX, moveY, this.facing);
+        
+        // A hit plays through before walking or idling takes over again
+        if (!this.sprite.isPlaying('hit')) {
+            this.sprite.play(moving ? `walk-${this.facing}` : 'idle');
+        }
+        this.sprite.update(deltaTime);
+    }
+    
+    /**
      * Render the player on the canvas
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-     */    render(ctx) {
-        // Draw player as a simple blue rectangle
-        ctx.fillStyle = COLORS.PLAYER;
-        ctx.fillRect(this.x - this.width/2, this.y - this.height/2, this.width, this.height);
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(ctx, alpha = 1) {
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+        
+        // Fade while dashing, blink while invulnerable after a hit
+        ctx.save();
+        if (this.isDashing()) {
+            ctx.globalAlpha = 0.6;
+        } else if (this.isInvulnerable() && Math.floor(this.invulnerabilityTimer / 100) % 2 === 0) {
+            ctx.globalAlpha = 0.4;
+        }
         
-        // Draw a simple face
-        ctx.fillStyle = COLORS.UI_TEXT;
-        ctx.fillRect(this.x - 6, this.y - 6, 3, 3); // Left eye
-        ctx.fillRect(this.x + 3, this.y - 6, 3, 3); // Right eye
-        ctx.fillRect(this.x - 3, this.y + 2, 6, 2); // Mouth
+        if (!this.sprite.draw(ctx, x, y)) {
+            // No sprite sheet: draw player as a simple blue rectangle
+            ctx.fillStyle = COLORS.PLAYER;
+            ctx.fillRect(x - this.width/2, y - this.height/2, this.width, this.height);
+            
+            // Draw a simple face
+            ctx.fillStyle = COLORS.UI_TEXT;
+            ctx.fillRect(x - 6, y - 6, 3, 3); // Left eye
+            ctx.fillRect(x + 3, y - 6, 3, 3); // Right eye
+            ctx.fillRect(x - 3, y + 2, 6, 2); // Mouth
+        }
+        ctx.restore();
         
-        // Render weapon projectiles
-        this.weaponSystem.render(ctx);
+        // Render weapons
+        this.weapons.render(ctx, alpha);
     }
     
     /**
      * Take damage and handle health changes
      * @param {number} amount - Damage amount
+     * @param {number} [sourceX] - X position of the damage source, for knockback
+     * @param {number} [sourceY] - Y position of the damage source, for knockback
+     * @returns {boolean} True if the damage was applied
      */
-    takeDamage(amount) {
+    takeDamage(amount, sourceX, sourceY) {
+        if (this.isInvulnerable() || !this.isAlive()) return false;
+        
         this.health = Math.max(0, this.health - amount);
+        this.invulnerabilityTimer = CONFIG.PLAYER.INVULNERABILITY_TIME;
+        this.sprite.play(this.isAlive() ? 'hit' : 'death', true);
+        
+        // Push the player away from the source
+        if (sourceX !== undefined && sourceY !== undefined) {
+            const dx = this.x - sourceX;
+            const dy = this.y - sourceY;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            if (distance > 0) {
+                this.knockbackX = (dx / distance) * CONFIG.PLAYER.KNOCKBACK_SPEED;
+                this.knockbackY = (dy / distance) * CONFIG.PLAYER.KNOCKBACK_SPEED;
+                this.knockbackTimer = CONFIG.PLAYER.KNOCKBACK_DURATION;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Lose health to damaging terrain. Applied every step, so it skips the
+     * invulnerability window and knockback of a hit; the fractional damage
+     * of each step builds up and is taken a whole point at a time.
+     * @param {number} amount - Damage for this step
+     */
+    takeTerrainDamage(amount) {
+        if (!this.isAlive()) return;
+        this.terrainDamage += amount;
+        const whole = Math.floor(this.terrainDamage);
+        if (whole === 0) return;
+        
+        this.terrainDamage -= whole;
+        this.health = Math.max(0, this.health - whole);
+        if (!this.isAlive()) {
+            this.sprite.play('death');
+        }
+    }
+    
+    /**
+     * Check if the player is currently immune to damage
+     * @returns {boolean} True while dashing or in the post-hit invulnerability window
+     */
+    isInvulnerable() {
+        return this.invulnerabilityTimer > 0 || this.dashTimer > 0;
+    }
+    
+    /**
+     * Get player bounds for collision detection
+     * @returns {Object} Bounds object
+     */
+    getBounds() {
+        return {
+            x: this.x - this.width/2,
+            y: this.y - this.height/2,
+            width: this.width,
+            height: this.height
+        };
     }
     
     /**
@@ -105,28 +356,27 @@ export class Player {    constructor(x, y) {
     }
     
     /**
-     * Level up and upgrade weapon
+     * Level up and queue an upgrade choice
      */
     levelUp() {
         this.level++;
         this.experience = 0; // Reset experience for next level
         
-        // Auto-upgrade weapon based on level
-        const upgradeTypes = ['damage', 'fireRate', 'multiShot', 'range', 'homing', 'piercing', 'pattern'];
-        const upgradeType = upgradeTypes[Math.floor(Math.random() * upgradeTypes.length)];
-        this.weaponSystem.upgrade(upgradeType);
+        // The upgrade itself is picked by the player on the level-up screen
+        this.pendingUpgrades++;
         
         // Restore some health on level up
         this.heal(20);
     }
     
     /**
-     * Increment kill count and gain experience
+     * Count a kill; its experience arrives when the dropped gem is collected
      */
     addKill() {
         this.killCount++;
-        this.gainExperience(CONFIG.PROGRESSION.XP_PER_ENEMY);
-    }    /**    /**
+    }
+    
+    /**
      * Get experience progress as percentage
      * @returns {number} Progress percentage (0-1)
      */
@@ -135,6 +385,46 @@ export class Player {    constructor(x, y) {
         return Math.min(1, this.experience / requiredXP);
     }
     
+    /**
+     * Capture the player's state for a saved run
+     * @returns {Object} Plain snapshot
+     */
+    serialize() {
+        return {
+            x: this.x,
+            y: this.y,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            experience: this.experience,
+            level: this.level,
+            killCount: this.killCount,
+            pendingUpgrades: this.pendingUpgrades,
+            magnetRadius: this.magnetRadius,
+            dashCooldown: this.dashCooldown,
+            weapons: this.weapons.serialize()
+        };
+    }
+    
+    /**
+     * Restore the player from a saved run
+     * @param {Object} data - Snapshot from serialize()
+     */
+    restore(data) {
+        this.x = this.prevX = data.x;
+        this.y = this.prevY = data.y;
+        this.health = data.health;
+        this.maxHealth = data.maxHealth;
+        this.experience = data.experience;
+        this.level = data.level;
+        this.killCount = data.killCount;
+        this.pendingUpgrades = data.pendingUpgrades;
+        this.magnetRadius = data.magnetRadius;
+        this.dashCooldown = data.dashCooldown;
+        
+        this.weapons.restore(data.weapons);
+        this.weaponSystem = this.weapons.get(CONFIG.WEAPON.STARTING_WEAPON);
+    }
+    
     /**
      * Check if player is alive
      * @returns {boolean} True if player health > 0
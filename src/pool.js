@@ -0,0 +1,88 @@
+/**
+ * Pool module - recycles entity objects instead of allocating new ones
+ *
+ * Live objects sit in a dense array; releasing one swaps the last live
+ * object into its slot and parks it until the owner calls flush(), after
+ * which acquire() reuses it. Deferring reuse to the next step keeps
+ * references handed out this step (e.g. a list of kills) valid.
+ * Pooled objects implement reset(...args) to reinitialise themselves.
+ */
+
+export class Pool {
+    /**
+     * @param {Function} create - Factory returning a fresh, unused object
+     */
+    constructor(create) {
+        this.create = create;
+        this.items = []; // Live objects, in no particular order
+        this.released = []; // Released this step, not yet reusable
+        this.free = []; // Released objects waiting to be reused
+        this.created = 0;
+        this.peak = 0;
+    }
+
+    /**
+     * Take an object from the free list (or create one) and reset it
+     * @param {...*} args - Arguments passed to the object's reset()
+     * @returns {Object} The live object
+     */
+    acquire(...args) {
+        let item = this.free.pop();
+        if (!item) {
+            item = this.create();
+            this.created++;
+        }
+
+        item.reset(...args);
+        this.items.push(item);
+        this.peak = Math.max(this.peak, this.items.length);
+        return item;
+    }
+
+    /**
+     * Release the live object at an index. The last live object moves into
+     * its slot, so loops that release should walk the array backwards.
+     * @param {number} index - Index into items
+     */
+    releaseAt(index) {
+        const item = this.items[index];
+        const last = this.items.pop();
+        if (index < this.items.length) {
+            this.items[index] = last;
+        }
+        this.released.push(item);
+    }
+
+    /**
+     * Release every live object
+     */
+    releaseAll() {
+        for (const item of this.items) {
+            this.released.push(item);
+        }
+        this.items.length = 0;
+    }
+
+    /**
+     * Make everything released so far available to acquire()
+     */
+    flush() {
+        for (const item of this.released) {
+            this.free.push(item);
+        }
+        this.released.length = 0;
+    }
+
+    /**
+     * Get pool usage for the debug overlay
+     * @returns {Object} {live, free, created, peak}
+     */
+    getStats() {
+        return {
+            live: this.items.length,
+            free: this.free.length + this.released.length,
+            created: this.created,
+            peak: this.peak
+        };
+    }
+}
@@ -1,13 +1,40 @@
 /**
  * Projectile module - handles projectiles and weapon systems
  */
-import { COLORS } from './utils.js';
+import { COLORS, lerp } from './utils.js';
 import { CONFIG } from './config.js';
+import { Pool } from './pool.js';
+import { Sprite } from './sprites.js';
+import { audio } from './audio.js';
+import { effects } from './effects.js';
+
+// Scratch array for homing target lookups
+const nearestScratch = [];
 
 export class Projectile {
-    constructor(x, y, directionX, directionY, damage = CONFIG.WEAPON.PROJECTILE_DAMAGE, piercing = false, homing = 0) {
+    constructor(x = 0, y = 0, directionX = 1, directionY = 0, damage = CONFIG.WEAPON.PROJECTILE_DAMAGE, piercing = false, homing = 0) {
+        this.hitEnemies = new Set(); // Track which enemies this projectile has hit
+        this.sprite = new Sprite('bolt');
+        this.reset(x, y, directionX, directionY, damage, piercing, homing);
+    }
+    
+    /**
+     * (Re)initialise the projectile, so pooled instances can be reused
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @param {number} directionX - Normalized X direction
+     * @param {number} directionY - Normalized Y direction
+     * @param {number} damage - Damage per hit
+     * @param {boolean} piercing - Whether it passes through enemies
+     * @param {number} homing - Homing strength (0-1)
+     */
+    reset(x, y, directionX, directionY, damage = CONFIG.WEAPON.PROJECTILE_DAMAGE, piercing = false, homing = 0) {
         this.x = x;
         this.y = y;
+        this.prevX = x; // Position at the previous simulation step, for render interpolation
+        this.prevY = y;
+        this.originX = x; // Where it was fired from; that tile never blocks it
+        this.originY = y;
         this.directionX = directionX;
         this.directionY = directionY;
         this.speed = CONFIG.WEAPON.PROJECTILE_SPEED;
@@ -17,24 +44,28 @@ export class Projectile {
         this.active = true;
         this.radius = 3;
         this.piercing = piercing;
-        this.hitEnemies = new Set(); // Track which enemies this projectile has hit
+        this.hitEnemies.clear();
         this.homing = homing; // Homing strength (0-1)
         this.targetEnemy = null;
+        this.sprite.play(piercing ? 'piercing' : homing > 0 ? 'homing' : 'fly', true);
     }
       /**
      * Update projectile position and check if it should be removed
      * @param {number} deltaTime - Time elapsed since last frame
      * @param {World} world - World instance for collision detection
-     * @param {Array} enemies - Array of enemies for homing behavior
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies for homing behavior
      */
-    update(deltaTime, world, enemies = []) {
+    update(deltaTime, world, enemyIndex) {
         if (!this.active) return;
         
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
         // Homing behavior
-        if (this.homing > 0 && enemies.length > 0) {
+        if (this.homing > 0 && enemyIndex) {
             // Find nearest enemy if we don't have a target or our target is dead
             if (!this.targetEnemy || !this.targetEnemy.active) {
-                this.targetEnemy = this.findNearestEnemy(enemies);
+                this.targetEnemy = this.findNearestEnemy(enemyIndex);
             }
             
             // Adjust direction towards target
@@ -67,6 +98,7 @@ export class Projectile {
         this.x += this.directionX * moveDistance;
         this.y += this.directionY * moveDistance;
         this.distanceTraveled += moveDistance;
+        this.sprite.update(deltaTime);
         
         // Check if projectile has exceeded its range
         if (this.distanceTraveled >= this.range) {
@@ -74,43 +106,33 @@ export class Projectile {
             return;
         }
         
-        // Check collision with world (walls)
-        if (!world.canMoveTo(this.x, this.y, this.radius * 2, this.radius * 2)) {
+        // Check collision with world (walls, crates, low walls and water)
+        if (world.blocksProjectile(this.x, this.y, this.radius * 2, this.damage, this.originX, this.originY)) {
             this.active = false;
         }
     }
     
     /**
      * Find the nearest enemy to this projectile
-     * @param {Array} enemies - Array of enemies
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies
      * @returns {Enemy|null} Nearest enemy or null
      */
-    findNearestEnemy(enemies) {
-        let nearest = null;
-        let nearestDistance = Infinity;
-        
-        for (const enemy of enemies) {
-            if (!enemy.active) continue;
-            
-            const distance = Math.sqrt(
-                Math.pow(enemy.x - this.x, 2) + Math.pow(enemy.y - this.y, 2)
-            );
-            
-            if (distance < nearestDistance) {
-                nearest = enemy;
-                nearestDistance = distance;
-            }
-        }
-        
-        return nearest;
+    findNearestEnemy(enemyIndex) {
+        return enemyIndex.findNearest(this.x, this.y, Infinity, 1, nearestScratch)[0] || null;
     }
-      /**
+    /**
      * Render the projectile
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         if (!this.active) return;
         
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+        
+        if (this.sprite.draw(ctx, x, y, Math.atan2(this.directionY, this.directionX))) return;
+        
         // Choose color based on projectile type
         let color = COLORS.PROJECTILE;
         if (this.piercing) {
@@ -121,20 +143,20 @@ export class Projectile {
         
         ctx.fillStyle = color;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.arc(x, y, this.radius, 0, Math.PI * 2);
         ctx.fill();
         
         // Add a simple glow effect
         ctx.fillStyle = color + '40'; // Semi-transparent
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius + 2, 0, Math.PI * 2);
+        ctx.arc(x, y, this.radius + 2, 0, Math.PI * 2);
         ctx.fill();
         
         // Add trail effect for homing projectiles
         if (this.homing > 0) {
             ctx.fillStyle = color + '20';
             ctx.beginPath();
-            ctx.arc(this.x - this.directionX * 10, this.y - this.directionY * 10, this.radius * 0.7, 0, Math.PI * 2);
+            ctx.arc(x - this.directionX * 10, y - this.directionY * 10, this.radius * 0.7, 0, Math.PI * 2);
             ctx.fill();
         }
     }
@@ -153,10 +175,17 @@ export class Projectile {
     }
 }
 
+// Upgradable WeaponSystem fields kept in saved runs
+const SAVED_FIELDS = [
+    'level', 'fireRate', 'autoTargetRange', 'multiShotCount', 'spreadAngle',
+    'piercing', 'homing', 'damage', 'firingPattern'
+];
+
 export class WeaponSystem {
     constructor(owner) {
         this.owner = owner;
-        this.projectiles = [];
+        this.projectilePool = new Pool(() => new Projectile());
+        this.projectiles = this.projectilePool.items; // Live projectiles, recycled through the pool
         this.fireRate = CONFIG.WEAPON.FIRE_RATE;
         this.timeSinceLastShot = 0;
         this.autoTargetRange = CONFIG.WEAPON.AUTO_TARGET_RANGE;
@@ -172,30 +201,32 @@ export class WeaponSystem {
         // Different firing patterns
         this.firingPattern = 'nearest'; // 'nearest', 'spiral', 'spread', 'rotating'
         this.rotationAngle = 0; // For rotating pattern
+        this.targets = []; // Scratch array for target lookups
     }
       /**
      * Update weapon system - handle auto-firing and projectile management
      * @param {number} deltaTime - Time elapsed since last frame
      * @param {World} world - World instance
-     * @param {Array} enemies - Array of enemy entities
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies
      */
-    update(deltaTime, world, enemies = []) {
+    update(deltaTime, world, enemyIndex) {
         this.timeSinceLastShot += deltaTime / 1000;
+        this.projectilePool.flush();
         
         // Auto-fire logic
         if (this.timeSinceLastShot >= 1 / this.fireRate) {
-            this.fire(enemies);
+            this.fire(enemyIndex);
             this.timeSinceLastShot = 0;
         }
         
         // Update all projectiles
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const projectile = this.projectiles[i];
-            projectile.update(deltaTime, world, enemies);
+            projectile.update(deltaTime, world, enemyIndex);
             
-            // Remove inactive projectiles
+            // Recycle inactive projectiles
             if (!projectile.active) {
-                this.projectiles.splice(i, 1);
+                this.projectilePool.releaseAt(i);
             }
         }
         
@@ -204,13 +235,13 @@ export class WeaponSystem {
     }
       /**
      * Fire projectiles based on current firing pattern
-     * @param {Array} enemies - Array of enemy entities
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies
      */
-    fire(enemies = []) {
-        const directions = this.calculateFiringDirections(enemies);
+    fire(enemyIndex) {
+        const directions = this.calculateFiringDirections(enemyIndex);
         
         for (const direction of directions) {
-            const projectile = new Projectile(
+            this.projectilePool.acquire(
                 this.owner.x,
                 this.owner.y,
                 direction.x,
@@ -219,47 +250,63 @@ export class WeaponSystem {
                 this.piercing,
                 this.homing
             );
-            
-            this.projectiles.push(projectile);
+            effects.muzzleFlash(this.owner.x, this.owner.y, direction.x, direction.y);
+        }
+        if (directions.length > 0) {
+            audio.play('shot');
         }
     }
     
     /**
      * Calculate firing directions based on current pattern
-     * @param {Array} enemies - Array of enemy entities
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies
      * @returns {Array} Array of direction vectors
      */
-    calculateFiringDirections(enemies = []) {
-        const directions = [];
+    calculateFiringDirections(enemyIndex) {
+        // Manual aim steers every pattern: the targeting ones fan out around it,
+        // and the spinning ones are turned so their first shot goes where it points
+        const aim = this.owner.aim;
+        if (aim) {
+            const aimAngle = Math.atan2(aim.y, aim.x);
+            switch (this.firingPattern) {
+                case 'spiral':
+                    return this.calculateSpiralPattern(aimAngle);
+                case 'rotating':
+                    return this.calculateRotatingPattern(aimAngle);
+                default:
+                    return this.calculateSpreadAround(aimAngle);
+            }
+        }
         
+        const spinAngle = this.rotationAngle * Math.PI / 180;
         switch (this.firingPattern) {
             case 'nearest':
-                return this.calculateNearestTargeting(enemies);
+                return this.calculateNearestTargeting(enemyIndex);
             case 'spiral':
-                return this.calculateSpiralPattern();
+                return this.calculateSpiralPattern(spinAngle);
             case 'spread':
-                return this.calculateSpreadPattern(enemies);
+                return this.calculateSpreadPattern(enemyIndex);
             case 'rotating':
-                return this.calculateRotatingPattern();
+                return this.calculateRotatingPattern(spinAngle);
             default:
-                return this.calculateNearestTargeting(enemies);
+                return this.calculateNearestTargeting(enemyIndex);
         }
     }
     
     /**
      * Calculate directions for nearest enemy targeting
-     * @param {Array} enemies - Array of enemy entities
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies
      * @returns {Array} Array of direction vectors
      */
-    calculateNearestTargeting(enemies) {
+    calculateNearestTargeting(enemyIndex) {
         const directions = [];
         
         // Find multiple nearest enemies for multi-shot
-        const targets = this.findNearestEnemies(enemies, this.multiShotCount);
+        const targets = this.findNearestEnemies(enemyIndex, this.multiShotCount);
         
         if (targets.length === 0) {
             // No enemies nearby, fire in a spread pattern
-            return this.calculateSpreadPattern([]);
+            return this.calculateSpreadPattern(null);
         }
         
         for (const target of targets) {
@@ -280,25 +327,31 @@ export class WeaponSystem {
     
     /**
      * Calculate directions for spread pattern
-     * @param {Array} enemies - Array of enemy entities
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies
      * @returns {Array} Array of direction vectors
      */
-    calculateSpreadPattern(enemies) {
-        const directions = [];
+    calculateSpreadPattern(enemyIndex) {
         let baseAngle = 0;
         
-        // If there are enemies, aim towards the nearest one
-        if (enemies.length > 0) {
-            const nearest = this.findNearestEnemies(enemies, 1)[0];
-            if (nearest) {
-                baseAngle = Math.atan2(nearest.y - this.owner.y, nearest.x - this.owner.x);
-            }
+        // If there are enemies in range, aim towards the nearest one
+        const nearest = enemyIndex ? this.findNearestEnemies(enemyIndex, 1)[0] : null;
+        if (nearest) {
+            baseAngle = Math.atan2(nearest.y - this.owner.y, nearest.x - this.owner.x);
         } else {
             // No enemies, use rotating base angle for visual interest
             baseAngle = this.rotationAngle * Math.PI / 180;
         }
         
-        // Create spread pattern
+        return this.calculateSpreadAround(baseAngle);
+    }
+    
+    /**
+     * Calculate multi-shot directions fanned out around an angle
+     * @param {number} baseAngle - Centre of the fan in radians
+     * @returns {Array} Array of direction vectors
+     */
+    calculateSpreadAround(baseAngle) {
+        const directions = [];
         const angleStep = this.spreadAngle * Math.PI / 180;
         const startAngle = baseAngle - (angleStep * (this.multiShotCount - 1)) / 2;
         
@@ -315,11 +368,11 @@ export class WeaponSystem {
     
     /**
      * Calculate directions for spiral pattern
+     * @param {number} baseAngle - Angle of the first shot in radians
      * @returns {Array} Array of direction vectors
      */
-    calculateSpiralPattern() {
+    calculateSpiralPattern(baseAngle) {
         const directions = [];
-        const baseAngle = this.rotationAngle * Math.PI / 180;
         
         for (let i = 0; i < this.multiShotCount; i++) {
             const angle = baseAngle + (i * 60 * Math.PI / 180); // 60 degrees apart
@@ -334,12 +387,12 @@ export class WeaponSystem {
     
     /**
      * Calculate directions for rotating pattern
+     * @param {number} baseAngle - Angle of the first shot in radians
      * @returns {Array} Array of direction vectors
      */
-    calculateRotatingPattern() {
+    calculateRotatingPattern(baseAngle) {
         const directions = [];
         const angleStep = (360 / this.multiShotCount) * Math.PI / 180;
-        const baseAngle = this.rotationAngle * Math.PI / 180;
         
         for (let i = 0; i < this.multiShotCount; i++) {
             const angle = baseAngle + (angleStep * i);
@@ -354,86 +407,152 @@ export class WeaponSystem {
     
     /**
      * Find the nearest enemies to the owner
-     * @param {Array} enemies - Array of enemies
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies
      * @param {number} count - Number of enemies to find
      * @returns {Array} Array of nearest enemies
      */
-    findNearestEnemies(enemies, count) {
-        const activeEnemies = enemies.filter(e => e.active);
-        
-        // Calculate distances and sort
-        const enemiesWithDistance = activeEnemies.map(enemy => ({
-            enemy,
-            distance: Math.sqrt(
-                Math.pow(enemy.x - this.owner.x, 2) + 
-                Math.pow(enemy.y - this.owner.y, 2)
-            )
-        }));
-        
-        // Filter by range and sort by distance
-        const inRange = enemiesWithDistance.filter(e => e.distance <= this.autoTargetRange);
-        inRange.sort((a, b) => a.distance - b.distance);
-        
-        return inRange.slice(0, count).map(e => e.enemy);
+    findNearestEnemies(enemyIndex, count) {
+        return enemyIndex.findNearest(this.owner.x, this.owner.y, this.autoTargetRange, count, this.targets);
+    }
+    
+    /**
+     * Get the current and next value for an upgrade
+     * @param {string} upgradeType - Type of upgrade
+     * @returns {Object|null} Object with current and next values, or null if maxed or a no-op
+     */
+    getUpgradeValues(upgradeType) {
+        switch (upgradeType) {
+            case 'damage':
+                return { current: this.damage, next: this.damage + 5 };
+            case 'fireRate':
+                if (this.fireRate >= CONFIG.WEAPON.MAX_FIRE_RATE) return null;
+                return { current: this.fireRate, next: Math.min(CONFIG.WEAPON.MAX_FIRE_RATE, this.fireRate + 0.5) };
+            case 'multiShot':
+                if (this.multiShotCount >= CONFIG.WEAPON.MAX_MULTI_SHOT) return null;
+                return { current: this.multiShotCount, next: this.multiShotCount + 1 };
+            case 'piercing':
+                if (this.piercing) return null;
+                return { current: false, next: true };
+            case 'homing':
+                if (this.homing >= 1) return null;
+                return { current: this.homing, next: Math.min(1, this.homing + 0.3) };
+            case 'range':
+                if (this.autoTargetRange >= CONFIG.WEAPON.MAX_AUTO_TARGET_RANGE) return null;
+                return {
+                    current: this.autoTargetRange,
+                    next: Math.min(CONFIG.WEAPON.MAX_AUTO_TARGET_RANGE, this.autoTargetRange + 50)
+                };
+            case 'pattern': {
+                // Cycle through firing patterns
+                const patterns = ['nearest', 'spread', 'spiral', 'rotating'];
+                const currentIndex = patterns.indexOf(this.firingPattern);
+                return { current: this.firingPattern, next: patterns[(currentIndex + 1) % patterns.length] };
+            }
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Check whether an upgrade would have any effect
+     * @param {string} upgradeType - Type of upgrade
+     * @returns {boolean} True if the upgrade is available
+     */
+    canUpgrade(upgradeType) {
+        return this.getUpgradeValues(upgradeType) !== null;
     }
     
     /**
      * Upgrade the weapon system
      * @param {string} upgradeType - Type of upgrade
+     * @returns {boolean} True if the upgrade was applied
      */
     upgrade(upgradeType) {
+        const values = this.getUpgradeValues(upgradeType);
+        if (!values) return false;
+        
         switch (upgradeType) {
             case 'damage':
-                this.damage += 5;
+                this.damage = values.next;
                 break;
             case 'fireRate':
-                this.fireRate += 0.5;
+                this.fireRate = values.next;
                 break;
             case 'multiShot':
-                this.multiShotCount += 1;
+                this.multiShotCount = values.next;
                 break;
             case 'piercing':
-                this.piercing = true;
+                this.piercing = values.next;
                 break;
             case 'homing':
-                this.homing = Math.min(1, this.homing + 0.3);
+                this.homing = values.next;
                 break;
             case 'range':
-                this.autoTargetRange += 50;
+                this.autoTargetRange = values.next;
                 break;
             case 'pattern':
-                // Cycle through firing patterns
-                const patterns = ['nearest', 'spread', 'spiral', 'rotating'];
-                const currentIndex = patterns.indexOf(this.firingPattern);
-                this.firingPattern = patterns[(currentIndex + 1) % patterns.length];
+                this.firingPattern = values.next;
                 break;
         }
         
         this.level++;
+        return true;
     }
     
     /**
      * Render all projectiles
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         for (const projectile of this.projectiles) {
-            projectile.render(ctx);
+            projectile.render(ctx, alpha);
         }
     }
     
     /**
-     * Get all active projectiles
-     * @returns {Array} Array of active projectiles
+     * Get the live projectiles. The array is reused between steps and may
+     * hold projectiles spent since the last update, so check active before use.
+     * @returns {Array} Live projectiles
      */
     getProjectiles() {
-        return this.projectiles.filter(p => p.active);
+        return this.projectiles;
     }
     
     /**
      * Clear all projectiles
      */
     clearProjectiles() {
-        this.projectiles = [];
+        this.projectilePool.releaseAll();
+    }
+    
+    /**
+     * Capture level and upgrades for a saved run
+     * @returns {Object} Plain snapshot
+     */
+    serialize() {
+        const state = {};
+        for (const field of SAVED_FIELDS) {
+            state[field] = this[field];
+        }
+        return state;
+    }
+    
+    /**
+     * Restore level and upgrades from a saved run
+     * @param {Object} state - Snapshot from serialize()
+     */
+    restore(state) {
+        for (const field of SAVED_FIELDS) {
+            if (field in state) this[field] = state[field];
+        }
+    }
+    
+    /**
+     * Get pool usage for the debug overlay
+     * @returns {Object} Projectile pool stats
+     */
+    getPoolStats() {
+        return this.projectilePool.getStats();
     }
 }
@@ -0,0 +1,186 @@
+/**
+ * Random module - seedable pseudo-random number generation
+ *
+ * Every system draws from a named stream derived from the run seed, so the
+ * same seed reproduces the same map, spawns and level-up rolls. Streams are
+ * independent: extra draws in one system never shift another's sequence.
+ */
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number} 32-bit hash
+ */
+export function hashString(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Hash a seed and a pair of integer coordinates into a value in [0, 1).
+ * Stateless, so anything built from it (e.g. endless-world chunks) comes out
+ * the same whatever order it is generated in.
+ * @param {number} seed - 32-bit seed
+ * @param {number} x - Integer X coordinate
+ * @param {number} y - Integer Y coordinate
+ * @returns {number} Float in [0, 1)
+ */
+export function hashCoords(seed, x, y) {
+    let hash = Math.imul(x | 0, 0x27D4EB2D) ^ Math.imul(y | 0, 0x165667B1) ^ seed;
+    hash = Math.imul(hash ^ (hash >>> 15), 0x85EBCA6B);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+    return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Small, fast seeded generator (mulberry32)
+ */
+export class Random {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Get the next value in the sequence
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Generate a random integer between min and max (inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Generate a random float between min and max
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random float
+     */
+    float(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} Random element, or undefined for an empty array
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Pick a key from a table of relative weights
+     * @param {Object<string, number>} weights - Map of key to weight
+     * @returns {string|undefined} Chosen key, or undefined if every weight is zero
+     */
+    pickWeighted(weights) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.next() * totalWeight;
+
+        for (const [key, weight] of entries) {
+            if (roll < weight) return key;
+            roll -= weight;
+        }
+        return entries.length > 0 ? entries[entries.length - 1][0] : undefined;
+    }
+}
+
+let runSeed = generateSeed();
+let streams = new Map();
+
+/**
+ * Generate a fresh seed for a new run
+ * @returns {number} 32-bit seed
+ */
+export function generateSeed() {
+    // The only place allowed to use Math.random
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Parse a seed from user input (numeric or any string)
+ * @param {string|number|null} value - Seed value
+ * @returns {number|null} 32-bit seed, or null if empty
+ */
+export function parseSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    return hashString(text);
+}
+
+/**
+ * Set the run seed and reset all streams
+ * @param {number} seed - 32-bit seed
+ */
+export function setSeed(seed) {
+    runSeed = seed >>> 0;
+    streams = new Map();
+}
+
+/**
+ * Get the current run seed
+ * @returns {number} 32-bit seed
+ */
+export function getSeed() {
+    return runSeed;
+}
+
+/**
+ * Capture the position of every stream, for saving a run
+ * @returns {Object<string, number>} Map of stream name to generator state
+ */
+export function getStreamStates() {
+    const states = {};
+    for (const [name, stream] of streams) {
+        states[name] = stream.state;
+    }
+    return states;
+}
+
+/**
+ * Restore the run seed and stream positions from a saved run
+ * @param {number} seed - 32-bit seed
+ * @param {Object<string, number>} states - Map of stream name to generator state
+ */
+export function restoreStreams(seed, states) {
+    setSeed(seed);
+    for (const [name, state] of Object.entries(states)) {
+        getRandom(name).state = state >>> 0;
+    }
+}
+
+/**
+ * Get the generator for a named stream, created on first use
+ * @param {string} name - Stream name (e.g. 'world', 'spawn', 'upgrades')
+ * @returns {Random} Stream generator
+ */
+export function getRandom(name = 'default') {
+    let stream = streams.get(name);
+    if (!stream) {
+        stream = new Random(Math.imul(runSeed ^ hashString(name), 0x9E3779B1));
+        streams.set(name, stream);
+    }
+    return stream;
+}
@@ -0,0 +1,178 @@
+/**
+ * Save module - versioned run snapshots and the meta-profile in localStorage
+ *
+ * Both records carry a schema version. Older records are upgraded one
+ * version at a time through the migration tables below; records from a
+ * newer build, or that fail to parse, are ignored rather than clobbered.
+ */
+import { CONFIG } from './config.js';
+
+export const RUN_VERSION = 2;
+export const PROFILE_VERSION = 1;
+export const SETTINGS_VERSION = 1;
+
+// Migrations keyed by the version they upgrade from: data => data at version + 1
+const RUN_MIGRATIONS = {
+    // v2 added the upgradeable dash cooldown
+    1: (data) => ({ ...data, version: 2, player: { ...data.player, dashCooldown: CONFIG.PLAYER.DASH.COOLDOWN } })
+};
+const PROFILE_MIGRATIONS = {};
+const SETTINGS_MIGRATIONS = {};
+
+/**
+ * Create an empty meta-profile
+ * @returns {Object} Profile at the current version
+ */
+export function createProfile() {
+    return {
+        version: PROFILE_VERSION,
+        bestTime: 0, // ms
+        totalKills: 0,
+        runs: 0,
+        currency: 0,
+        bonuses: {} // bonus id -> purchased level
+    };
+}
+
+/**
+ * Upgrade a stored record to the current version
+ * @param {Object} data - Parsed record
+ * @param {number} currentVersion - Version this build writes
+ * @param {Object} migrations - Migration table for the record type
+ * @returns {Object|null} Migrated record, or null if it cannot be used
+ */
+function migrate(data, currentVersion, migrations) {
+    if (!data || typeof data.version !== 'number' || data.version > currentVersion) {
+        return null;
+    }
+
+    while (data.version < currentVersion) {
+        const step = migrations[data.version];
+        if (!step) return null;
+        data = step(data);
+    }
+    return data;
+}
+
+/**
+ * Read and parse a JSON record
+ * @param {string} key - Storage key
+ * @returns {Object|null} Parsed record, or null if missing or unreadable
+ */
+function read(key) {
+    try {
+        const text = window.localStorage.getItem(key);
+        return text ? JSON.parse(text) : null;
+    } catch (error) {
+        // Storage blocked (e.g. privacy mode) or corrupt data
+        return null;
+    }
+}
+
+/**
+ * Write a JSON record, unless a newer build has already written it
+ * @param {string} key - Storage key
+ * @param {Object} data - Record to store, with its version
+ * @returns {boolean} True if it was written
+ */
+function write(key, data) {
+    const stored = read(key);
+    if (stored && stored.version > data.version) {
+        return false;
+    }
+
+    try {
+        window.localStorage.setItem(key, JSON.stringify(data));
+        return true;
+    } catch (error) {
+        // Storage blocked or full; the game carries on unsaved
+        return false;
+    }
+}
+
+/**
+ * Load the saved run, if any
+ * @returns {Object|null} Run snapshot, or null if there is none to resume
+ */
+export function loadRun() {
+    return migrate(read(CONFIG.SAVE.RUN_KEY), RUN_VERSION, RUN_MIGRATIONS);
+}
+
+/**
+ * Save a run snapshot, replacing any previous one
+ * @param {Object} snapshot - Run state without a version
+ * @returns {boolean} True if it was written
+ */
+export function saveRun(snapshot) {
+    return write(CONFIG.SAVE.RUN_KEY, { version: RUN_VERSION, ...snapshot });
+}
+
+/**
+ * Delete the saved run (after it ends, or when starting over)
+ */
+export function clearRun() {
+    try {
+        window.localStorage.removeItem(CONFIG.SAVE.RUN_KEY);
+    } catch (error) {
+        // Nothing to clear if storage is unavailable
+    }
+}
+
+/**
+ * Load the meta-profile, or a fresh one
+ * @returns {Object} Profile at the current version
+ */
+export function loadProfile() {
+    const profile = migrate(read(CONFIG.SAVE.PROFILE_KEY), PROFILE_VERSION, PROFILE_MIGRATIONS);
+    // Fill in any fields a migration did not set
+    return profile ? { ...createProfile(), ...profile } : createProfile();
+}
+
+/**
+ * Save the meta-profile
+ * @param {Object} profile - Profile to store
+ * @returns {boolean} True if it was written
+ */
+export function saveProfile(profile) {
+    return write(CONFIG.SAVE.PROFILE_KEY, { ...profile, version: PROFILE_VERSION });
+}
+
+/**
+ * Create default player settings
+ * @returns {Object} Settings at the current version
+ */
+export function createSettings() {
+    return {
+        version: SETTINGS_VERSION,
+        bindings: {}, // action -> key codes, only where changed from the defaults
+        aimMode: CONFIG.WEAPON.AIM_MODE,
+        volumes: {
+            master: CONFIG.AUDIO.MASTER_VOLUME,
+            music: CONFIG.AUDIO.MUSIC_VOLUME,
+            sfx: CONFIG.AUDIO.SFX_VOLUME
+        },
+        screenShake: true,
+        damageNumbers: true,
+        colorBlind: false,
+        loadout: null // Weapon picked alongside the starting one, reused on restart
+    };
+}
+
+/**
+ * Load the player's settings, or the defaults
+ * @returns {Object} Settings at the current version
+ */
+export function loadSettings() {
+    const settings = migrate(read(CONFIG.SAVE.SETTINGS_KEY), SETTINGS_VERSION, SETTINGS_MIGRATIONS);
+    // Fill in any fields a migration did not set
+    return settings ? { ...createSettings(), ...settings } : createSettings();
+}
+
+/**
+ * Save the player's settings
+ * @param {Object} settings - Settings to store
+ * @returns {boolean} True if it was written
+ */
+export function saveSettings(settings) {
+    return write(CONFIG.SAVE.SETTINGS_KEY, { ...settings, version: SETTINGS_VERSION });
+}
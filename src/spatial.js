@@ -0,0 +1,232 @@
+/**
+ * Spatial module - uniform grid index for fast proximity queries
+ *
+ * Entities are bucketed by their centre point. Rebuilding every step is
+ * cheap (cell arrays are reused), and queries only touch nearby cells, so
+ * hit tests and targeting stay flat as entity counts grow.
+ */
+import { CONFIG } from './config.js';
+
+export class SpatialHash {
+    constructor(cellSize = CONFIG.SPATIAL.CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // cell key -> array of entities
+        this.count = 0;
+        this.maxHalfSize = 0; // Largest entity half-extent, to pad rect queries
+
+        // Bounds of occupied cells, so searches never scan empty space
+        this.minCellX = Infinity;
+        this.minCellY = Infinity;
+        this.maxCellX = -Infinity;
+        this.maxCellY = -Infinity;
+
+        // Scratch distances for findNearest()
+        this.bestDistances = [];
+    }
+
+    /**
+     * Get the map key for a cell
+     * @param {number} cellX - Cell column
+     * @param {number} cellY - Cell row
+     * @returns {number} Cell key
+     */
+    key(cellX, cellY) {
+        return cellX * 65536 + cellY;
+    }
+
+    /**
+     * Remove every entity, keeping cell arrays for reuse
+     */
+    clear() {
+        // Drop the buckets entirely if a long trip has left too many behind
+        if (this.cells.size > CONFIG.SPATIAL.MAX_CACHED_CELLS) {
+            this.cells.clear();
+        } else {
+            for (const cell of this.cells.values()) {
+                cell.length = 0;
+            }
+        }
+
+        this.count = 0;
+        this.maxHalfSize = 0;
+        this.minCellX = Infinity;
+        this.minCellY = Infinity;
+        this.maxCellX = -Infinity;
+        this.maxCellY = -Infinity;
+    }
+
+    /**
+     * Add an entity at its current position
+     * @param {Object} entity - Entity with x, y and width
+     */
+    insert(entity) {
+        const cellX = Math.floor(entity.x / this.cellSize);
+        const cellY = Math.floor(entity.y / this.cellSize);
+        const key = this.key(cellX, cellY);
+
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(entity);
+
+        this.count++;
+        this.maxHalfSize = Math.max(this.maxHalfSize, (entity.width || 0) / 2);
+        this.minCellX = Math.min(this.minCellX, cellX);
+        this.minCellY = Math.min(this.minCellY, cellY);
+        this.maxCellX = Math.max(this.maxCellX, cellX);
+        this.maxCellY = Math.max(this.maxCellY, cellY);
+    }
+
+    /**
+     * Clear the index and insert every active entity
+     * @param {Array} entities - Entities with x, y, width and active
+     */
+    build(entities) {
+        this.clear();
+        for (const entity of entities) {
+            if (entity.active) this.insert(entity);
+        }
+    }
+
+    /**
+     * Collect entities whose bodies may overlap a rectangle
+     * @param {number} left - Rectangle left edge
+     * @param {number} top - Rectangle top edge
+     * @param {number} right - Rectangle right edge
+     * @param {number} bottom - Rectangle bottom edge
+     * @param {Array} out - Array to fill (cleared first)
+     * @returns {Array} Candidate entities; callers do the exact test
+     */
+    query(left, top, right, bottom, out = []) {
+        out.length = 0;
+        if (this.count === 0) return out;
+
+        const pad = this.maxHalfSize;
+        const startX = Math.max(this.minCellX, Math.floor((left - pad) / this.cellSize));
+        const endX = Math.min(this.maxCellX, Math.floor((right + pad) / this.cellSize));
+        const startY = Math.max(this.minCellY, Math.floor((top - pad) / this.cellSize));
+        const endY = Math.min(this.maxCellY, Math.floor((bottom + pad) / this.cellSize));
+
+        for (let cellY = startY; cellY <= endY; cellY++) {
+            for (let cellX = startX; cellX <= endX; cellX++) {
+                const cell = this.cells.get(this.key(cellX, cellY));
+                if (!cell) continue;
+
+                for (const entity of cell) {
+                    if (entity.active) out.push(entity);
+                }
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Collect entities whose bodies touch a circle
+     * @param {number} x - Circle centre X
+     * @param {number} y - Circle centre Y
+     * @param {number} radius - Circle radius
+     * @param {Array} out - Array to fill (cleared first)
+     * @returns {Array} Entities within radius plus their own half-width
+     */
+    queryRadius(x, y, radius, out = []) {
+        this.query(x - radius, y - radius, x + radius, y + radius, out);
+
+        // Exact circle test, compacting in place
+        let kept = 0;
+        for (const entity of out) {
+            const reach = radius + (entity.width || 0) / 2;
+            const dx = entity.x - x;
+            const dy = entity.y - y;
+            if (dx * dx + dy * dy <= reach * reach) {
+                out[kept++] = entity;
+            }
+        }
+        out.length = kept;
+
+        return out;
+    }
+
+    /**
+     * Find the entities nearest to a point, searching outwards ring by ring
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @param {number} maxDistance - Ignore entities further away than this
+     * @param {number} count - Maximum number of entities to return
+     * @param {Array} out - Array to fill (cleared first)
+     * @param {Set} [exclude] - Entities to skip
+     * @returns {Array} Up to count entities, nearest first
+     */
+    findNearest(x, y, maxDistance, count, out = [], exclude = null) {
+        out.length = 0;
+        this.bestDistances.length = 0;
+        if (this.count === 0 || count <= 0) return out;
+
+        const cellX = Math.floor(x / this.cellSize);
+        const cellY = Math.floor(y / this.cellSize);
+        const maxDistanceSq = maxDistance * maxDistance;
+        const maxRing = Math.min(
+            Math.ceil(maxDistance / this.cellSize),
+            Math.max(cellX - this.minCellX, this.maxCellX - cellX, cellY - this.minCellY, this.maxCellY - cellY)
+        );
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Walk the square outline of this ring
+            for (let offsetX = -ring; offsetX <= ring; offsetX++) {
+                this.visitNearest(cellX + offsetX, cellY - ring, x, y, maxDistanceSq, count, out, exclude);
+                if (ring > 0) {
+                    this.visitNearest(cellX + offsetX, cellY + ring, x, y, maxDistanceSq, count, out, exclude);
+                }
+            }
+            for (let offsetY = -ring + 1; offsetY <= ring - 1; offsetY++) {
+                this.visitNearest(cellX - ring, cellY + offsetY, x, y, maxDistanceSq, count, out, exclude);
+                this.visitNearest(cellX + ring, cellY + offsetY, x, y, maxDistanceSq, count, out, exclude);
+            }
+
+            // Anything in later rings is at least ring * cellSize away
+            const bound = ring * this.cellSize;
+            if (out.length === count && this.bestDistances[count - 1] <= bound * bound) break;
+        }
+
+        return out;
+    }
+
+    /**
+     * Merge one cell's entities into the running nearest-N list
+     * @param {number} cellX - Cell column
+     * @param {number} cellY - Cell row
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @param {number} maxDistanceSq - Squared search radius
+     * @param {number} count - Size of the nearest-N list
+     * @param {Array} out - Nearest entities, sorted by distance
+     * @param {Set|null} exclude - Entities to skip
+     */
+    visitNearest(cellX, cellY, x, y, maxDistanceSq, count, out, exclude) {
+        const cell = this.cells.get(this.key(cellX, cellY));
+        if (!cell) return;
+
+        const best = this.bestDistances;
+        for (const entity of cell) {
+            if (!entity.active || (exclude && exclude.has(entity))) continue;
+
+            const dx = entity.x - x;
+            const dy = entity.y - y;
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq > maxDistanceSq) continue;
+            if (out.length === count && distanceSq >= best[count - 1]) continue;
+
+            // Insertion sort into the short sorted list
+            let index = Math.min(out.length, count - 1);
+            while (index > 0 && best[index - 1] > distanceSq) {
+                best[index] = best[index - 1];
+                out[index] = out[index - 1];
+                index--;
+            }
+            best[index] = distanceSq;
+            out[index] = entity;
+        }
+    }
+}
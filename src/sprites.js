@@ -0,0 +1,221 @@
+/**
+ * Sprites module - sprite sheets and animation clips
+ *
+ * Sheets are declared in CONFIG.SPRITES: an image cut into equal frames,
+ * numbered left to right and top to bottom, and named clips listing the
+ * frames to play with a duration per frame. A Sprite plays one clip at a
+ * time and draws nothing (returning false) while its sheet is missing, so
+ * callers can fall back to primitive drawing.
+ */
+import { CONFIG } from './config.js';
+import { assets } from './assets.js';
+
+const sheets = new Map(); // sheet id -> SpriteSheet, for sheets whose image loaded
+
+export class SpriteSheet {
+    /**
+     * @param {HTMLImageElement} image - Loaded sheet image
+     * @param {Object} definition - Entry from CONFIG.SPRITES
+     */
+    constructor(image, definition) {
+        this.image = image;
+        this.frameWidth = definition.frameWidth;
+        this.frameHeight = definition.frameHeight;
+        this.columns = Math.max(1, Math.floor(image.width / definition.frameWidth));
+        this.clips = new Map();
+
+        for (const [name, clip] of Object.entries(definition.clips)) {
+            this.clips.set(name, {
+                name,
+                frames: clip.frames,
+                // One duration for every frame, or a list with one per frame
+                durations: clip.durations || clip.frames.map(() => clip.duration),
+                loop: clip.loop !== false
+            });
+        }
+    }
+
+    /**
+     * Find a clip, falling back from e.g. 'walk-left' to 'walk' to 'idle'
+     * @param {string} name - Clip name
+     * @returns {Object|null} Clip, or null if the sheet has nothing suitable
+     */
+    getClip(name) {
+        if (this.clips.has(name)) return this.clips.get(name);
+
+        const dash = name.lastIndexOf('-');
+        if (dash > 0) return this.getClip(name.slice(0, dash));
+
+        return name === 'idle' ? null : this.clips.get('idle') || null;
+    }
+
+    /**
+     * Get the frame a clip shows at a point in time, for clips played on a
+     * shared clock (e.g. animated tiles)
+     * @param {Object} clip - Clip from getClip()
+     * @param {number} time - Time in ms
+     * @returns {number} Frame number in the sheet
+     */
+    getFrameAt(clip, time) {
+        const total = clip.durations.reduce((sum, duration) => sum + duration, 0);
+        let remaining = clip.loop ? time % total : Math.min(time, total - 1);
+        for (let i = 0; i < clip.frames.length; i++) {
+            remaining -= clip.durations[i];
+            if (remaining < 0) return clip.frames[i];
+        }
+        return clip.frames[clip.frames.length - 1];
+    }
+
+    /**
+     * Draw one frame into a rectangle
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} frame - Frame number in the sheet
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} [width] - Drawn width, defaults to the frame width
+     * @param {number} [height] - Drawn height, defaults to the frame height
+     */
+    drawFrame(ctx, frame, x, y, width = this.frameWidth, height = this.frameHeight) {
+        const sourceX = (frame % this.columns) * this.frameWidth;
+        const sourceY = Math.floor(frame / this.columns) * this.frameHeight;
+        ctx.drawImage(this.image, sourceX, sourceY, this.frameWidth, this.frameHeight, x, y, width, height);
+    }
+}
+
+/**
+ * Preload every sheet in CONFIG.SPRITES
+ * @param {Function} [onProgress] - Called with (settled, total)
+ * @returns {Promise<void>} Resolves once every sheet has loaded or failed
+ */
+export async function loadSpriteSheets(onProgress) {
+    const entries = Object.entries(CONFIG.SPRITES).map(([id, definition]) => ({ id, src: definition.src }));
+    await assets.loadAll(entries, onProgress);
+
+    for (const [id, definition] of Object.entries(CONFIG.SPRITES)) {
+        const image = assets.getImage(id);
+        if (image) {
+            sheets.set(id, new SpriteSheet(image, definition));
+        }
+    }
+}
+
+/**
+ * Get a loaded sprite sheet
+ * @param {string} id - Key into CONFIG.SPRITES
+ * @returns {SpriteSheet|null} Sheet, or null if it is missing
+ */
+export function getSpriteSheet(id) {
+    return sheets.get(id) || null;
+}
+
+/**
+ * Get the walk direction for a movement, for picking 'walk-<facing>' clips
+ * @param {number} dx - X movement
+ * @param {number} dy - Y movement
+ * @param {string} previous - Facing to keep when not moving
+ * @returns {string} 'up', 'down', 'left' or 'right'
+ */
+export function getFacing(dx, dy, previous) {
+    if (dx === 0 && dy === 0) return previous;
+    if (Math.abs(dx) > Math.abs(dy)) return dx < 0 ? 'left' : 'right';
+    return dy < 0 ? 'up' : 'down';
+}
+
+/**
+ * Animation state for one entity: the sheet, the clip playing and how far
+ * into it. The sheet is looked up by id on use, so sprites made before
+ * loading finishes pick it up once it is ready.
+ */
+export class Sprite {
+    /**
+     * @param {string|null} sheetId - Key into CONFIG.SPRITES
+     */
+    constructor(sheetId = null) {
+        this.setSheet(sheetId);
+    }
+
+    /**
+     * Switch to another sheet and stop any clip (used when pooled entities are reused)
+     * @param {string|null} sheetId - Key into CONFIG.SPRITES
+     */
+    setSheet(sheetId) {
+        this.sheetId = sheetId;
+        this.clip = null;
+        this.clipName = null; // Name of the clip actually playing, after fallbacks
+        this.frameIndex = 0;
+        this.frameTime = 0;
+        this.finished = false; // Set when a non-looping clip reaches its last frame
+    }
+
+    /**
+     * Start a clip; does nothing if it is already playing, unless restarted
+     * @param {string} name - Clip name
+     * @param {boolean} [restart] - Play from the first frame even if already playing
+     */
+    play(name, restart = false) {
+        const sheet = getSpriteSheet(this.sheetId);
+        const clip = sheet ? sheet.getClip(name) : null;
+        if (!clip || (clip === this.clip && !restart)) return;
+
+        this.clip = clip;
+        this.clipName = clip.name;
+        this.frameIndex = 0;
+        this.frameTime = 0;
+        this.finished = false;
+    }
+
+    /**
+     * Check whether a clip is still playing through (e.g. a one-shot hit)
+     * @param {string} name - Clip name
+     * @returns {boolean} True while that clip plays and has not finished
+     */
+    isPlaying(name) {
+        return this.clipName === name && !this.finished;
+    }
+
+    /**
+     * Advance the current clip
+     * @param {number} deltaTime - Time elapsed since last frame
+     */
+    update(deltaTime) {
+        if (!this.clip || this.finished) return;
+
+        this.frameTime += deltaTime;
+        while (this.frameTime >= this.clip.durations[this.frameIndex]) {
+            this.frameTime -= this.clip.durations[this.frameIndex];
+            if (this.frameIndex < this.clip.frames.length - 1) {
+                this.frameIndex++;
+            } else if (this.clip.loop) {
+                this.frameIndex = 0;
+            } else {
+                this.finished = true;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Draw the current frame centred on a point
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} x - Centre X
+     * @param {number} y - Centre Y
+     * @param {number} [rotation] - Rotation in radians
+     * @returns {boolean} False if nothing was drawn (sheet missing or no clip)
+     */
+    draw(ctx, x, y, rotation = 0) {
+        const sheet = getSpriteSheet(this.sheetId);
+        if (!sheet || !this.clip) return false;
+
+        const frame = this.clip.frames[this.frameIndex];
+        if (rotation === 0) {
+            sheet.drawFrame(ctx, frame, x - sheet.frameWidth / 2, y - sheet.frameHeight / 2);
+        } else {
+            ctx.save();
+            ctx.translate(x, y);
+            ctx.rotate(rotation);
+            sheet.drawFrame(ctx, frame, -sheet.frameWidth / 2, -sheet.frameHeight / 2);
+            ctx.restore();
+        }
+        return true;
+    }
+}
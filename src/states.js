@@ -0,0 +1,426 @@
+/**
+ * States module - the game's scenes and the machine that switches between them
+ *
+ * The game is always in exactly one state: boot (loading), title, loadout
+ * select, playing, paused, level-up choice, game over or results. Each state
+ * owns its update, render and input routing, and gets enter/exit hooks to
+ * open and close the overlay it drives. The loop only updates and renders
+ * whichever state is current, so the run simulation itself lives in the
+ * playing state alone.
+ */
+import { CONFIG } from './config.js';
+import { rollUpgradeChoices } from './upgrades.js';
+import { audio } from './audio.js';
+import { effects } from './effects.js';
+
+/**
+ * Holds the named states and runs the current one
+ */
+export class StateMachine {
+    constructor() {
+        this.states = {};
+        this.current = null;
+        this.name = null;
+    }
+
+    /**
+     * Register a state
+     * @param {string} name - State name
+     * @param {State} state - State instance
+     * @returns {StateMachine} This machine, for chaining
+     */
+    add(name, state) {
+        this.states[name] = state;
+        return this;
+    }
+
+    /**
+     * Leave the current state and enter another. A state that changes state
+     * from update() should return straight after.
+     * @param {string} name - State to enter
+     * @param {Object} [params] - Passed to the new state's enter()
+     */
+    change(name, params = {}) {
+        const next = this.states[name];
+        if (!next) {
+            throw new Error(`Unknown state: ${name}`);
+        }
+
+        const previous = this.name;
+        if (this.current) {
+            this.current.exit(name);
+        }
+        // Switch before entering, so enter() may itself change state
+        this.current = next;
+        this.name = name;
+        next.enter(params, previous);
+    }
+
+    /**
+     * Check whether the current state is one of the given ones
+     * @param {...string} names - State names
+     * @returns {boolean} True if it is
+     */
+    is(...names) {
+        return names.includes(this.name);
+    }
+
+    /**
+     * Advance the current state one step
+     * @param {number} deltaTime - Time elapsed since last step
+     */
+    update(deltaTime) {
+        if (this.current) this.current.update(deltaTime);
+    }
+
+    /**
+     * Render the current state
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(alpha) {
+        if (this.current) this.current.render(alpha);
+    }
+}
+
+/**
+ * Base state: does nothing but draw the world as it stands
+ */
+export class State {
+    /**
+     * @param {Game} game - Game whose systems the state drives
+     */
+    constructor(game) {
+        this.game = game;
+        this.pausable = false; // Whether losing focus or the pause action opens the pause menu
+    }
+
+    /**
+     * Called when the state becomes current
+     * @param {Object} params - Parameters given to StateMachine.change()
+     * @param {string|null} previous - State being left
+     */
+    enter(params, previous) {}
+
+    /**
+     * Called when another state takes over
+     * @param {string} next - State being entered
+     */
+    exit(next) {}
+
+    /**
+     * Advance one step; input has already been updated for it
+     * @param {number} deltaTime - Time elapsed since last step
+     */
+    update(deltaTime) {}
+
+    /**
+     * Draw the frame
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(alpha) {
+        this.game.render(alpha);
+    }
+}
+
+/**
+ * Loading screen: preloads assets and any saved run, then moves to the title
+ */
+export class BootState extends State {
+    enter() {
+        this.game.loadingElement.classList.remove('hidden');
+        this.game.load().then(() => this.game.states.change('title'));
+    }
+
+    exit() {
+        this.game.loadingElement.classList.add('hidden');
+    }
+
+    render() {
+        // Nothing is loaded yet; the loading screen covers the canvas
+        this.game.ctx.clearRect(0, 0, this.game.width, this.game.height);
+    }
+}
+
+/**
+ * Title screen: continue the run in progress, or pick a loadout for a new one
+ */
+export class TitleState extends State {
+    constructor(game) {
+        super(game);
+        game.titleScreen.onContinue = () => game.states.change('playing');
+        game.titleScreen.onNewRun = () => game.states.change('loadout');
+    }
+
+    enter() {
+        this.game.titleScreen.show(this.game.runInProgress);
+    }
+
+    exit() {
+        this.game.titleScreen.hide();
+    }
+
+    update() {
+        this.game.titleScreen.handleInput(this.game.inputHandler);
+    }
+
+    render(alpha) {
+        this.game.render(alpha);
+        this.game.renderDimOverlay();
+    }
+}
+
+/**
+ * Loadout select: choose the weapon to start alongside the bolt
+ */
+export class LoadoutState extends State {
+    constructor(game) {
+        super(game);
+        game.loadoutScreen.onPick = (weaponId) => {
+            game.changeSetting('loadout', weaponId);
+            game.startRun();
+            game.states.change('playing');
+        };
+        game.loadoutScreen.onBack = () => game.states.change('title');
+    }
+
+    enter() {
+        this.game.loadoutScreen.show(this.game.settings.loadout);
+    }
+
+    exit() {
+        this.game.loadoutScreen.hide();
+    }
+
+    update() {
+        this.game.loadoutScreen.handleInput(this.game.inputHandler);
+    }
+
+    render(alpha) {
+        this.game.render(alpha);
+        this.game.renderDimOverlay();
+    }
+}
+
+/**
+ * The run itself: steps the simulation and hands over on level-up or death
+ */
+export class PlayingState extends State {
+    constructor(game) {
+        super(game);
+        this.pausable = true;
+    }
+
+    update(deltaTime) {
+        const game = this.game;
+        if (game.inputHandler.wasPressed('pause')) {
+            game.pause();
+            return;
+        }
+
+        game.update(deltaTime);
+
+        if (!game.player.isAlive()) {
+            game.states.change('gameOver');
+        } else if (game.player.pendingUpgrades > 0) {
+            game.states.change('levelUp');
+        }
+    }
+}
+
+/**
+ * Pause menu over a frozen run; resuming returns to the state it paused
+ */
+export class PausedState extends State {
+    constructor(game) {
+        super(game);
+        this.resumeTo = 'playing';
+        game.pauseMenu.onResume = () => game.states.change(this.resumeTo, { resumed: true });
+        game.pauseMenu.onRestart = () => {
+            game.startRun();
+            game.states.change('playing');
+        };
+        game.pauseMenu.onQuit = () => game.states.change('title');
+        game.pauseMenu.onChange = (key, value) => game.changeSetting(key, value);
+    }
+
+    /**
+     * @param {Object} params - {resumeTo}: state to go back to on resume
+     */
+    enter(params) {
+        this.resumeTo = params.resumeTo || 'playing';
+        audio.suspend();
+        this.game.autosave();
+        this.game.upgradeScreen.setSuspended(true);
+        this.game.pauseMenu.show(this.game.settings);
+    }
+
+    exit(next) {
+        this.game.pauseMenu.hide();
+        audio.resume();
+        // Offers left open behind the menu are dropped unless we go back to them
+        if (next !== this.resumeTo) {
+            this.game.upgradeScreen.hide();
+        }
+        this.game.upgradeScreen.setSuspended(false);
+    }
+
+    update() {
+        this.game.pauseMenu.handleInput(this.game.inputHandler);
+    }
+
+    render(alpha) {
+        this.game.render(alpha);
+        this.game.renderDimOverlay();
+    }
+}
+
+/**
+ * Level-up choice: the run is frozen while the player picks each pending upgrade
+ */
+export class LevelUpState extends State {
+    constructor(game) {
+        super(game);
+        this.pausable = true;
+        this.chosen = false; // Set by the screen's callback, acted on in the next step
+    }
+
+    /**
+     * @param {Object} params - {resumed}: coming back from the pause menu to the same offers
+     */
+    enter(params) {
+        if (!params.resumed) {
+            this.offer();
+        }
+    }
+
+    exit(next) {
+        if (next !== 'paused') {
+            this.game.upgradeScreen.hide();
+        }
+    }
+
+    /**
+     * Show the choices for the next pending upgrade, or go back to the run if there are none
+     */
+    offer() {
+        const game = this.game;
+        this.chosen = false;
+        const choices = rollUpgradeChoices(game.player);
+        if (choices.length === 0) {
+            // Everything is maxed out; nothing to offer
+            game.player.pendingUpgrades = 0;
+            game.states.change('playing');
+            return;
+        }
+
+        game.upgradeScreen.show(choices, (choice) => {
+            game.applyUpgrade(choice);
+            this.chosen = true;
+        });
+    }
+
+    update() {
+        const game = this.game;
+        if (game.inputHandler.wasPressed('pause')) {
+            game.pause();
+            return;
+        }
+
+        game.upgradeScreen.handleInput(game.inputHandler);
+        if (!this.chosen) return;
+
+        if (game.player.pendingUpgrades > 0) {
+            this.offer();
+        } else {
+            game.states.change('playing');
+        }
+    }
+}
+
+/**
+ * The player has died: bank the run and let the death animation play out
+ */
+export class GameOverState extends State {
+    constructor(game) {
+        super(game);
+        this.timer = 0;
+    }
+
+    enter() {
+        this.timer = 0;
+        this.game.endRun();
+    }
+
+    update(deltaTime) {
+        const game = this.game;
+        game.player.sprite.update(deltaTime);
+        effects.update(deltaTime);
+        game.updateNotifications(deltaTime);
+
+        // Confirm skips straight to the results
+        this.timer += deltaTime;
+        if (this.timer >= CONFIG.STATES.GAME_OVER_DELAY || game.inputHandler.wasPressed('confirm')) {
+            game.states.change('results');
+        }
+    }
+
+    render(alpha) {
+        const game = this.game;
+        game.render(alpha);
+
+        // Fade to the results screen
+        const fade = Math.min(1, this.timer / CONFIG.STATES.GAME_OVER_DELAY);
+        game.renderDimOverlay(fade * 0.5);
+        game.ctx.globalAlpha = fade;
+        game.ctx.font = 'bold 36px "Courier New", monospace';
+        game.ctx.textAlign = 'center';
+        game.ctx.fillStyle = '#E74C3C';
+        game.ctx.fillText('GAME OVER', game.width / 2, game.height / 2);
+        game.ctx.textAlign = 'left';
+        game.ctx.globalAlpha = 1;
+    }
+}
+
+/**
+ * Results screen with the meta shop; restart or head back to the title
+ */
+export class ResultsState extends State {
+    constructor(game) {
+        super(game);
+        this.restart = () => {
+            game.startRun();
+            game.states.change('playing');
+        };
+        document.getElementById('restart-button').addEventListener('click', () => {
+            if (game.states.is('results')) this.restart();
+        });
+        document.getElementById('title-button').addEventListener('click', () => {
+            if (game.states.is('results')) game.states.change('title');
+        });
+    }
+
+    enter() {
+        this.game.showResults();
+    }
+
+    exit() {
+        this.game.gameOverElement.classList.add('hidden');
+    }
+
+    update(deltaTime) {
+        const game = this.game;
+        game.player.sprite.update(deltaTime);
+        effects.update(deltaTime);
+
+        if (game.inputHandler.wasPressed('confirm') || game.inputHandler.wasPressed('restart')) {
+            this.restart();
+        } else if (game.inputHandler.wasPressed('pause')) {
+            game.states.change('title');
+        }
+    }
+
+    render(alpha) {
+        this.game.render(alpha);
+        this.game.renderDimOverlay();
+    }
+}
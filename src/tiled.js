@@ -0,0 +1,225 @@
+/**
+ * Tiled module - loads maps exported from the Tiled Map Editor (JSON format)
+ *
+ * Supported: finite orthogonal maps, tile layers (also inside groups) as
+ * either plain arrays or uncompressed base64, a collision layer, and object
+ * layers marking the player start and enemy spawn zones. Tile colours come
+ * from a "color" custom property on tileset tiles, since the game draws
+ * tiles as flat colours rather than tileset images. A "terrain" property
+ * (a TILE_TYPES name such as "lava" or "low_wall") gives a tile's terrain;
+ * other tiles on the collision layer are walls.
+ */
+import { CONFIG } from './config.js';
+import { TILE_TYPES } from './utils.js';
+
+// Tiled stores flip/rotation flags in the top bits of each tile id
+const GID_MASK = 0x0FFFFFFF;
+
+/**
+ * Fetch and parse a Tiled JSON map. Relative URLs resolve against the page,
+ * so a map saved next to index.html loads as e.g. 'maps/arena.json'.
+ * @param {string} url - Map URL
+ * @returns {Promise<Object>} Parsed map, see parseTiledMap()
+ */
+export async function loadTiledMap(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return parseTiledMap(await response.json());
+}
+
+/**
+ * Convert Tiled JSON into the data World needs
+ * @param {Object} json - Map exported by Tiled
+ * @returns {Object} {width, height, tileSize, tiles, layers, tileColors, playerStart, spawnZones}
+ */
+export function parseTiledMap(json) {
+    if (json.infinite) {
+        throw new Error('Infinite Tiled maps are not supported');
+    }
+    if (json.orientation && json.orientation !== 'orthogonal') {
+        throw new Error(`Unsupported map orientation: ${json.orientation}`);
+    }
+
+    const { width, height } = json;
+    const map = {
+        width,
+        height,
+        tileSize: json.tilewidth,
+        tiles: [],
+        layers: [], // Visible tile layers {name, data, opacity}, drawn in order
+        tileColors: readTileProperty(json.tilesets || [], 'color', normaliseColor),
+        playerStart: null,
+        spawnZones: []
+    };
+
+    const terrain = readTileProperty(json.tilesets || [], 'terrain', readTerrain);
+    const types = new Uint8Array(width * height).fill(TILE_TYPES.FLOOR);
+    let hasCollision = false;
+
+    for (const layer of flattenLayers(json.layers || [])) {
+        if (layer.type === 'tilelayer') {
+            const data = readLayerData(layer, width * height);
+            const collision = isCollisionLayer(layer);
+            hasCollision = hasCollision || collision;
+
+            // Later layers override earlier ones
+            for (let i = 0; i < data.length; i++) {
+                if (terrain.has(data[i])) {
+                    types[i] = terrain.get(data[i]);
+                } else if (collision && data[i] !== 0) {
+                    types[i] = TILE_TYPES.WALL;
+                }
+            }
+
+            if (!collision && layer.visible !== false) {
+                map.layers.push({ name: layer.name, data, opacity: layer.opacity ?? 1 });
+            }
+        } else if (layer.type === 'objectgroup') {
+            readObjects(layer.objects || [], map);
+        }
+    }
+
+    if (!hasCollision) {
+        throw new Error(`Map has no "${CONFIG.TILED.COLLISION_LAYER}" layer`);
+    }
+
+    for (let y = 0; y < height; y++) {
+        map.tiles[y] = [];
+        for (let x = 0; x < width; x++) {
+            map.tiles[y][x] = types[y * width + x];
+        }
+    }
+
+    return map;
+}
+
+/**
+ * Flatten group layers into a single list, keeping draw order
+ * @param {Array} layers - Tiled layers
+ * @returns {Array} Tile and object layers
+ */
+function flattenLayers(layers) {
+    const flat = [];
+    for (const layer of layers) {
+        if (layer.type === 'group') {
+            flat.push(...flattenLayers(layer.layers || []));
+        } else {
+            flat.push(layer);
+        }
+    }
+    return flat;
+}
+
+/**
+ * Read a custom property from a Tiled layer, object or tile
+ * @param {Object} owner - Anything with a Tiled properties array
+ * @param {string} name - Property name
+ * @returns {*} Property value, or undefined
+ */
+function getProperty(owner, name) {
+    const property = (owner.properties || []).find(p => p.name === name);
+    return property ? property.value : undefined;
+}
+
+/**
+ * Check whether a tile layer marks solid tiles
+ * @param {Object} layer - Tiled tile layer
+ * @returns {boolean} True for the collision layer
+ */
+function isCollisionLayer(layer) {
+    return layer.name.toLowerCase() === CONFIG.TILED.COLLISION_LAYER || getProperty(layer, 'collision') === true;
+}
+
+/**
+ * Decode a tile layer into a flat array of tile ids without flip flags
+ * @param {Object} layer - Tiled tile layer
+ * @param {number} size - Expected tile count
+ * @returns {Uint32Array} Tile ids, 0 for empty
+ */
+function readLayerData(layer, size) {
+    let data = layer.data;
+
+    if (layer.encoding === 'base64') {
+        if (layer.compression) {
+            throw new Error(`Layer "${layer.name}" uses ${layer.compression} compression; export uncompressed`);
+        }
+        const bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+        data = new Uint32Array(bytes.buffer, 0, bytes.length / 4);
+    }
+
+    if (!data || data.length !== size) {
+        throw new Error(`Layer "${layer.name}" does not match the map size`);
+    }
+
+    return Uint32Array.from(data, gid => gid & GID_MASK);
+}
+
+/**
+ * Collect one custom property from the tiles of embedded tilesets
+ * @param {Array} tilesets - Tiled tilesets
+ * @param {string} name - Property name
+ * @param {Function} convert - Turns the property value into the stored value
+ * @returns {Map<number, *>} Tile id to converted value
+ */
+function readTileProperty(tilesets, name, convert) {
+    const values = new Map();
+    for (const tileset of tilesets) {
+        // External tilesets (source only) carry no tile data here
+        for (const tile of tileset.tiles || []) {
+            const value = getProperty(tile, name);
+            if (value) {
+                values.set(tileset.firstgid + tile.id, convert(value));
+            }
+        }
+    }
+    return values;
+}
+
+/**
+ * Turn a "terrain" property into a tile type
+ * @param {string} name - TILE_TYPES name, any case
+ * @returns {number} Tile type
+ */
+function readTerrain(name) {
+    const type = TILE_TYPES[name.toUpperCase()];
+    if (type === undefined) {
+        throw new Error(`Unknown terrain: ${name}`);
+    }
+    return type;
+}
+
+/**
+ * Turn a Tiled colour (#AARRGGBB or #RRGGBB) into a CSS colour
+ * @param {string} color - Tiled colour
+ * @returns {string} CSS colour
+ */
+function normaliseColor(color) {
+    if (/^#[0-9a-f]{8}$/i.test(color)) {
+        // Tiled puts alpha first; CSS wants it last
+        return `#${color.slice(3)}${color.slice(1, 3)}`;
+    }
+    return color;
+}
+
+/**
+ * Pick out the player start and spawn zones from an object layer
+ * @param {Array} objects - Tiled objects
+ * @param {Object} map - Map being built
+ */
+function readObjects(objects, map) {
+    for (const object of objects) {
+        // Tiled 1.9 renamed an object's "type" to "class"
+        const kind = (object.class || object.type || object.name || '').toLowerCase();
+
+        if (kind === CONFIG.TILED.PLAYER_START) {
+            map.playerStart = {
+                x: object.x + (object.width || 0) / 2,
+                y: object.y + (object.height || 0) / 2
+            };
+        } else if (kind === CONFIG.TILED.SPAWN_ZONE && object.width > 0 && object.height > 0) {
+            map.spawnZones.push({ x: object.x, y: object.y, width: object.width, height: object.height });
+        }
+    }
+}
@@ -0,0 +1,301 @@
+/**
+ * Upgrades module - level-up offer rolling and the choice screen
+ */
+import { CONFIG } from './config.js';
+import { getRandom } from './random.js';
+import { WEAPON_TYPES } from './weapons.js';
+
+/**
+ * Upgrades to the player themselves, offered alongside weapon upgrades.
+ * Each moves a numeric player stat by a step until it reaches max; a
+ * negative step lowers the stat, and max is then a floor.
+ */
+export const PASSIVE_UPGRADES = {
+    magnet: {
+        name: 'Magnet',
+        description: 'Pull in gems and items from further away.',
+        weight: 5,
+        stat: 'magnetRadius',
+        step: CONFIG.PICKUPS.MAGNET_STEP,
+        max: CONFIG.PICKUPS.MAX_MAGNET_RADIUS,
+        format: (value) => `${value}px`
+    },
+    dash: {
+        name: 'Quick Dash',
+        description: 'Dash recharges faster.',
+        weight: 4,
+        stat: 'dashCooldown',
+        step: -CONFIG.PLAYER.DASH.COOLDOWN_STEP,
+        max: CONFIG.PLAYER.DASH.MIN_COOLDOWN,
+        format: (value) => `${(value / 1000).toFixed(2)}s`
+    }
+};
+
+/**
+ * Get the current and next value for a passive upgrade
+ * @param {Player} player - Player instance
+ * @param {string} type - Key into PASSIVE_UPGRADES
+ * @returns {Object|null} Object with current and next values, or null if maxed
+ */
+export function getPassiveUpgradeValues(player, type) {
+    const upgrade = PASSIVE_UPGRADES[type];
+    if (!upgrade) return null;
+
+    const current = player[upgrade.stat];
+    const next = upgrade.step > 0
+        ? Math.min(upgrade.max, current + upgrade.step)
+        : Math.max(upgrade.max, current + upgrade.step);
+    if (next === current) return null;
+    return { current, next };
+}
+
+/**
+ * Apply a passive upgrade to the player
+ * @param {Player} player - Player instance
+ * @param {string} type - Key into PASSIVE_UPGRADES
+ * @returns {boolean} True if the upgrade was applied
+ */
+export function applyPassiveUpgrade(player, type) {
+    const values = getPassiveUpgradeValues(player, type);
+    if (!values) return false;
+
+    player[PASSIVE_UPGRADES[type].stat] = values.next;
+    return true;
+}
+
+/**
+ * Roll a set of distinct upgrade offers across all equipped weapons and
+ * passive upgrades, plus new weapons while slots remain. Maxed and no-op
+ * upgrades are skipped.
+ * @param {Player} player - Player whose weapons and stats are upgraded
+ * @param {number} count - Number of offers
+ * @param {Random} random - Seeded generator to draw from
+ * @returns {Array} Array of offers {weaponId, type, passive, weaponName, name, description, current, next}
+ */
+export function rollUpgradeChoices(player, count = CONFIG.PROGRESSION.UPGRADE_CHOICES, random = getRandom('upgrades')) {
+    const arsenal = player.weapons;
+    const pool = [];
+
+    for (const slot of arsenal.slots) {
+        for (const [type, upgrade] of Object.entries(slot.definition.upgrades)) {
+            const values = slot.weapon.getUpgradeValues(type);
+            if (!values) continue;
+
+            pool.push({
+                weight: upgrade.weight,
+                offer: {
+                    weaponId: slot.id,
+                    type,
+                    weaponName: slot.definition.name,
+                    name: upgrade.name,
+                    description: upgrade.description,
+                    current: upgrade.format(values.current),
+                    next: upgrade.format(values.next)
+                }
+            });
+        }
+    }
+
+    for (const id of arsenal.getUnequippedTypes()) {
+        const definition = WEAPON_TYPES[id];
+        pool.push({
+            weight: definition.weight,
+            offer: {
+                weaponId: id,
+                type: 'unlock',
+                weaponName: 'New Weapon',
+                name: definition.name,
+                description: definition.description,
+                current: 'none',
+                next: 'Lv 1'
+            }
+        });
+    }
+
+    for (const [type, upgrade] of Object.entries(PASSIVE_UPGRADES)) {
+        const values = getPassiveUpgradeValues(player, type);
+        if (!values) continue;
+
+        pool.push({
+            weight: upgrade.weight,
+            offer: {
+                weaponId: null,
+                type,
+                passive: true,
+                weaponName: 'Passive',
+                name: upgrade.name,
+                description: upgrade.description,
+                current: upgrade.format(values.current),
+                next: upgrade.format(values.next)
+            }
+        });
+    }
+
+    // Weighted sampling without replacement
+    const choices = [];
+    while (choices.length < count && pool.length > 0) {
+        const totalWeight = pool.reduce((sum, entry) => sum + entry.weight, 0);
+        let roll = random.next() * totalWeight;
+        let index = 0;
+        while (roll >= pool[index].weight && index < pool.length - 1) {
+            roll -= pool[index].weight;
+            index++;
+        }
+
+        choices.push(pool.splice(index, 1)[0].offer);
+    }
+
+    return choices;
+}
+
+/**
+ * HTML overlay that presents upgrade offers and reports the pick
+ */
+export class UpgradeScreen {
+    constructor() {
+        this.element = document.getElementById('level-up');
+        this.cardsElement = document.getElementById('upgrade-cards');
+        this.choices = [];
+        this.selectedIndex = 0;
+        this.onSelect = null;
+        this.isOpen = false;
+        this.suspended = false; // Hidden behind the pause menu
+
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    }
+
+    /**
+     * Show the screen with a set of offers
+     * @param {Array} choices - Offers from rollUpgradeChoices()
+     * @param {Function} onSelect - Called with the chosen offer
+     */
+    show(choices, onSelect) {
+        this.choices = choices;
+        this.onSelect = onSelect;
+        this.selectedIndex = 0;
+        this.isOpen = true;
+
+        this.cardsElement.replaceChildren(...choices.map((choice, index) => this.createCard(choice, index)));
+        this.updateSelection();
+        this.element.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the screen without choosing
+     */
+    hide() {
+        this.isOpen = false;
+        this.onSelect = null;
+        this.element.classList.add('hidden');
+    }
+
+    /**
+     * Hide the screen while the game is paused, and bring it back after
+     * @param {boolean} suspended - Whether the pause menu is covering it
+     */
+    setSuspended(suspended) {
+        this.suspended = suspended;
+        if (this.isOpen) {
+            this.element.classList.toggle('hidden', suspended);
+        }
+    }
+
+    /**
+     * Build the DOM for one upgrade card
+     * @param {Object} choice - Upgrade offer
+     * @param {number} index - Card position
+     * @returns {HTMLElement} Card element
+     */
+    createCard(choice, index) {
+        const card = document.createElement('button');
+        card.className = 'upgrade-card';
+
+        const key = document.createElement('div');
+        key.className = 'card-key';
+        key.textContent = `${index + 1} · ${choice.weaponName}`;
+
+        const name = document.createElement('div');
+        name.className = 'card-name';
+        name.textContent = choice.name;
+
+        const description = document.createElement('div');
+        description.className = 'card-description';
+        description.textContent = choice.description;
+
+        const values = document.createElement('div');
+        values.className = 'card-values';
+        values.textContent = `${choice.current} → ${choice.next}`;
+
+        card.append(key, name, description, values);
+        card.addEventListener('click', () => this.select(index));
+        card.addEventListener('mouseenter', () => {
+            this.selectedIndex = index;
+            this.updateSelection();
+        });
+        return card;
+    }
+
+    /**
+     * Highlight the currently selected card
+     */
+    updateSelection() {
+        Array.from(this.cardsElement.children).forEach((card, index) => {
+            card.classList.toggle('selected', index === this.selectedIndex);
+        });
+    }
+
+    /**
+     * Pick a card directly with the number keys while the screen is open
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeyDown(e) {
+        if (!this.isOpen || this.suspended || e.repeat) return;
+
+        // Confirm is handled through the input actions; keep the browser from also clicking a focused card
+        if (e.code === 'Enter' || e.code === 'Space') {
+            e.preventDefault();
+            return;
+        }
+
+        const digit = e.code.match(/^(?:Digit|Numpad)(\d)$/);
+        if (digit) {
+            const index = Number(digit[1]) - 1;
+            if (index >= 0 && index < this.choices.length) {
+                this.select(index);
+            }
+        }
+    }
+
+    /**
+     * Move the selection and choose with the left/right and confirm actions
+     * (keyboard, gamepad or touch joystick)
+     * @param {InputHandler} input - Input handler, updated this step
+     */
+    handleInput(input) {
+        if (!this.isOpen || this.suspended) return;
+
+        if (input.wasPressed('left')) {
+            this.selectedIndex = (this.selectedIndex + this.choices.length - 1) % this.choices.length;
+            this.updateSelection();
+        } else if (input.wasPressed('right')) {
+            this.selectedIndex = (this.selectedIndex + 1) % this.choices.length;
+            this.updateSelection();
+        } else if (input.wasPressed('confirm')) {
+            this.select(this.selectedIndex);
+        }
+    }
+
+    /**
+     * Choose an offer and close the screen
+     * @param {number} index - Card position
+     */
+    select(index) {
+        const onSelect = this.onSelect;
+        const choice = this.choices[index];
+        this.hide();
+
+        if (onSelect && choice) {
+            onSelect(choice);
+        }
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * Utilities module - common helper functions and constants
  */
+import { getRandom } from './random.js';
 
 /**
  * Clamp a value between min and max
@@ -73,20 +74,34 @@ export function toDegrees(radians) {
  * Generate a random integer between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Random} [random] - Seeded generator to draw from
  * @returns {number} Random integer
  */
-export function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(min, max, random = getRandom()) {
+    return random.int(min, max);
 }
 
 /**
  * Generate a random float between min and max
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Random} [random] - Seeded generator to draw from
  * @returns {number} Random float
  */
-export function randomFloat(min, max) {
-    return Math.random() * (max - min) + min;
+export function randomFloat(min, max, random = getRandom()) {
+    return random.float(min, max);
+}
+
+/**
+ * Format a duration as minutes and seconds
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted time (m:ss)
+ */
+export function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
 /**
@@ -94,18 +109,88 @@ export function randomFloat(min, max) {
  */
 export const TILE_TYPES = {
     FLOOR: 0,
-    WALL: 1
+    WALL: 1,
+    MUD: 2,
+    LAVA: 3,
+    POISON: 4,
+    WATER: 5,
+    LOW_WALL: 6,
+    CRATE: 7
 };
 
 export const COLORS = {
     FLOOR: '#2C3E50',
     WALL: '#34495E',
     GRID: '#1A252F',
+    MUD: '#5D4A36',
+    LAVA: '#C0392B',
+    POISON: '#6C8E23',
+    LAVA_BUBBLE: '#F39C12',
+    POISON_BUBBLE: '#A9DF3F',
+    WATER: '#2471A3',
+    LOW_WALL: '#4D6275',
+    CRATE: '#8E6A3E',
     PLAYER: '#4A90E2',
     UI_TEXT: '#FFFFFF',
     PROJECTILE: '#FFD700',
     PROJECTILE_PIERCING: '#FF6B6B',
     PROJECTILE_HOMING: '#9B59B6',
     ENEMY: '#E74C3C',
-    XP_BAR: '#4CAF50'
+    ENEMY_PROJECTILE: '#FF5E99',
+    ELITE: '#FFD700',
+    BLADE: '#ECF0F1',
+    AURA: '#1ABC9C',
+    BOMB: '#E67E22',
+    LIGHTNING: '#85C1E9',
+    PICKUP_HEALTH: '#FF4D6D',
+    PICKUP_VACUUM: '#F1C40F',
+    XP_BAR: '#4CAF50',
+    SPARK: '#FFF3B0',
+    DAMAGE_TEXT: '#FFFFFF',
+    LEVEL_UP: '#4CAF50',
+    RETICLE: '#FFFFFF'
 };
+
+/**
+ * Tile properties, indexed by tile type.
+ * solid: blocks movement (and projectiles); speed: movement multiplier while
+ * standing on the tile; damage: health lost per second while standing on it;
+ * blocksProjectiles: stops projectiles without blocking movement;
+ * health: projectile damage that destroys the tile, turning it into destroyedInto.
+ */
+export const TILE_DEFS = {
+    [TILE_TYPES.FLOOR]: { name: 'floor', color: COLORS.FLOOR, solid: false, speed: 1, damage: 0, blocksProjectiles: false, health: 0 },
+    [TILE_TYPES.WALL]: { name: 'wall', color: COLORS.WALL, solid: true, speed: 1, damage: 0, blocksProjectiles: true, health: 0 },
+    [TILE_TYPES.MUD]: { name: 'mud', color: COLORS.MUD, solid: false, speed: 0.5, damage: 0, blocksProjectiles: false, health: 0 },
+    [TILE_TYPES.LAVA]: { name: 'lava', color: COLORS.LAVA, solid: false, speed: 0.8, damage: 25, blocksProjectiles: false, health: 0 },
+    [TILE_TYPES.POISON]: { name: 'poison', color: COLORS.POISON, solid: false, speed: 0.9, damage: 8, blocksProjectiles: false, health: 0 },
+    [TILE_TYPES.WATER]: { name: 'water', color: COLORS.WATER, solid: false, speed: 0.6, damage: 0, blocksProjectiles: true, health: 0 },
+    [TILE_TYPES.LOW_WALL]: { name: 'low wall', color: COLORS.LOW_WALL, solid: false, speed: 0.7, damage: 0, blocksProjectiles: true, health: 0 },
+    [TILE_TYPES.CRATE]: { name: 'crate', color: COLORS.CRATE, solid: true, speed: 1, damage: 0, blocksProjectiles: true, health: 60, destroyedInto: TILE_TYPES.FLOOR }
+};
+
+/**
+ * Colour-blind palette: replaces the colours whose meaning rests on telling
+ * red from green (lava against poison, health pickups against XP gems)
+ */
+export const COLOR_BLIND_COLORS = {
+    LAVA: '#E69F00',
+    POISON: '#8E7CC3',
+    LAVA_BUBBLE: '#F0E442',
+    POISON_BUBBLE: '#C5B8E8',
+    PICKUP_HEALTH: '#F5F5F5'
+};
+
+const DEFAULT_COLORS = { ...COLORS };
+
+/**
+ * Switch palettes in place; everything reads COLORS when it draws, so the
+ * change shows on the next frame
+ * @param {boolean} colorBlind - Use the colour-blind palette
+ */
+export function setColorPalette(colorBlind) {
+    Object.assign(COLORS, DEFAULT_COLORS, colorBlind ? COLOR_BLIND_COLORS : {});
+    for (const [key, type] of Object.entries(TILE_TYPES)) {
+        TILE_DEFS[type].color = COLORS[key];
+    }
+}
@@ -0,0 +1,646 @@
+/**
+ * Weapons module - weapon registry, the extra weapon types and the player's arsenal
+ *
+ * Every weapon type is a registry entry with its base stats, upgrade tree and
+ * a factory. Weapons share a small duck-typed interface:
+ * update(deltaTime, world, enemyIndex), render(ctx, alpha), getProjectiles(),
+ * getUpgradeValues(type), canUpgrade(type), upgrade(type) and level.
+ * Weapons that pool their projectiles also expose getPoolStats().
+ */
+import { COLORS, lerp } from './utils.js';
+import { CONFIG } from './config.js';
+import { WeaponSystem } from './projectile.js';
+import { getRandom } from './random.js';
+
+// Scratch array for spatial queries; every weapon uses it synchronously
+const nearby = [];
+
+// Shared result for weapons that fire no projectiles
+const NO_PROJECTILES = [];
+
+/**
+ * Base class for stat-driven weapons. Upgrades are declared in the
+ * definition as a stat, a step and an optional min/max clamp.
+ */
+export class Weapon {
+    constructor(owner, definition) {
+        this.owner = owner;
+        this.definition = definition;
+        this.stats = { ...definition.stats };
+        this.level = 1;
+    }
+
+    /**
+     * Update the weapon
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {World} world - World instance
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies
+     */
+    update(deltaTime, world, enemyIndex) {}
+
+    /**
+     * Render the weapon
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(ctx, alpha) {}
+
+    /**
+     * Get projectiles that the enemy manager should resolve hits for
+     * @returns {Array} Array of active projectiles
+     */
+    getProjectiles() {
+        return NO_PROJECTILES;
+    }
+
+    /**
+     * Capture level and stats for a saved run
+     * @returns {Object} Plain snapshot
+     */
+    serialize() {
+        return { level: this.level, stats: { ...this.stats } };
+    }
+
+    /**
+     * Restore level and stats from a saved run
+     * @param {Object} state - Snapshot from serialize()
+     */
+    restore(state) {
+        this.level = state.level;
+        Object.assign(this.stats, state.stats);
+    }
+
+    /**
+     * Get the current and next value for an upgrade
+     * @param {string} upgradeType - Upgrade key from the definition
+     * @returns {Object|null} Object with current and next values, or null if maxed or a no-op
+     */
+    getUpgradeValues(upgradeType) {
+        const upgrade = this.definition.upgrades[upgradeType];
+        if (!upgrade) return null;
+
+        const current = this.stats[upgrade.stat];
+        let next = current + upgrade.step;
+        if (upgrade.max !== undefined) next = Math.min(upgrade.max, next);
+        if (upgrade.min !== undefined) next = Math.max(upgrade.min, next);
+
+        return next === current ? null : { current, next };
+    }
+
+    /**
+     * Check whether an upgrade would have any effect
+     * @param {string} upgradeType - Upgrade key from the definition
+     * @returns {boolean} True if the upgrade is available
+     */
+    canUpgrade(upgradeType) {
+        return this.getUpgradeValues(upgradeType) !== null;
+    }
+
+    /**
+     * Apply an upgrade
+     * @param {string} upgradeType - Upgrade key from the definition
+     * @returns {boolean} True if the upgrade was applied
+     */
+    upgrade(upgradeType) {
+        const values = this.getUpgradeValues(upgradeType);
+        if (!values) return false;
+
+        this.stats[this.definition.upgrades[upgradeType].stat] = values.next;
+        this.level++;
+        return true;
+    }
+
+    /**
+     * Get the owner position blended between the last two simulation steps
+     * @param {number} alpha - Interpolation factor
+     * @returns {Object} Object with x, y
+     */
+    getOwnerRenderPosition(alpha) {
+        return {
+            x: lerp(this.owner.prevX, this.owner.x, alpha),
+            y: lerp(this.owner.prevY, this.owner.y, alpha)
+        };
+    }
+}
+
+/**
+ * Blades that circle the player and cut anything they touch
+ */
+export class OrbitingBlade extends Weapon {
+    constructor(owner, definition) {
+        super(owner, definition);
+        this.angle = 0;
+        this.prevAngle = 0;
+        this.time = 0;
+        this.lastHitTimes = new Map(); // enemy -> time of last hit, for per-enemy cooldown
+    }
+
+    update(deltaTime, world, enemyIndex) {
+        this.time += deltaTime;
+        this.prevAngle = this.angle;
+        this.angle += this.stats.speed * Math.PI / 180 * (deltaTime / 1000);
+
+        for (const blade of this.getBladePositions(this.owner.x, this.owner.y, this.angle)) {
+            for (const enemy of enemyIndex.queryRadius(blade.x, blade.y, this.stats.size, nearby)) {
+                const lastHit = this.lastHitTimes.get(enemy);
+                if (lastHit !== undefined && this.time - lastHit < this.stats.hitCooldown) continue;
+
+                enemy.takeDamage(this.stats.damage);
+                this.lastHitTimes.set(enemy, this.time);
+            }
+        }
+
+        // Forget enemies that are gone
+        for (const enemy of this.lastHitTimes.keys()) {
+            if (!enemy.active) this.lastHitTimes.delete(enemy);
+        }
+    }
+
+    /**
+     * Get the positions of all blades around a center
+     * @param {number} centerX - Orbit center X
+     * @param {number} centerY - Orbit center Y
+     * @param {number} angle - Rotation of the first blade (radians)
+     * @returns {Array} Array of {x, y, angle}
+     */
+    getBladePositions(centerX, centerY, angle) {
+        const positions = [];
+        const angleStep = Math.PI * 2 / this.stats.count;
+
+        for (let i = 0; i < this.stats.count; i++) {
+            const bladeAngle = angle + angleStep * i;
+            positions.push({
+                x: centerX + Math.cos(bladeAngle) * this.stats.radius,
+                y: centerY + Math.sin(bladeAngle) * this.stats.radius,
+                angle: bladeAngle
+            });
+        }
+
+        return positions;
+    }
+
+    render(ctx, alpha) {
+        const center = this.getOwnerRenderPosition(alpha);
+        const angle = lerp(this.prevAngle, this.angle, alpha);
+        const size = this.stats.size;
+
+        ctx.fillStyle = COLORS.BLADE;
+        for (const blade of this.getBladePositions(center.x, center.y, angle)) {
+            // Diamond pointing along the direction of travel
+            ctx.save();
+            ctx.translate(blade.x, blade.y);
+            ctx.rotate(blade.angle);
+            ctx.beginPath();
+            ctx.moveTo(0, -size);
+            ctx.lineTo(size / 2, 0);
+            ctx.lineTo(0, size);
+            ctx.lineTo(-size / 2, 0);
+            ctx.closePath();
+            ctx.fill();
+            ctx.restore();
+        }
+    }
+}
+
+/**
+ * Damaging field that pulses around the player
+ */
+export class Aura extends Weapon {
+    constructor(owner, definition) {
+        super(owner, definition);
+        this.tickTimer = 0;
+        this.pulse = 0; // Visual pulse after each tick (1 = just ticked)
+    }
+
+    update(deltaTime, world, enemyIndex) {
+        this.tickTimer += deltaTime;
+        this.pulse = Math.max(0, this.pulse - deltaTime / 300);
+
+        if (this.tickTimer < this.stats.tickInterval) return;
+        this.tickTimer = 0;
+        this.pulse = 1;
+
+        for (const enemy of enemyIndex.queryRadius(this.owner.x, this.owner.y, this.stats.radius, nearby)) {
+            enemy.takeDamage(this.stats.damage);
+        }
+    }
+
+    render(ctx, alpha) {
+        const center = this.getOwnerRenderPosition(alpha);
+
+        ctx.fillStyle = COLORS.AURA + '20';
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, this.stats.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.strokeStyle = COLORS.AURA + Math.floor(0x40 + this.pulse * 0xA0).toString(16).padStart(2, '0');
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, this.stats.radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
+
+/**
+ * Bombs lobbed over walls at nearby enemies, exploding on landing
+ */
+export class Bomb extends Weapon {
+    constructor(owner, definition) {
+        super(owner, definition);
+        this.cooldownTimer = 0;
+        this.bombs = [];
+        this.explosions = [];
+    }
+
+    update(deltaTime, world, enemyIndex) {
+        this.cooldownTimer += deltaTime;
+
+        if (this.cooldownTimer >= this.stats.cooldown) {
+            const targets = enemyIndex.findNearest(this.owner.x, this.owner.y, this.stats.throwRange, this.stats.count, nearby);
+
+            // Hold the throw until something is in range
+            if (targets.length > 0) {
+                for (const target of targets) {
+                    this.bombs.push({
+                        startX: this.owner.x,
+                        startY: this.owner.y,
+                        targetX: target.x,
+                        targetY: target.y,
+                        time: 0,
+                        prevTime: 0
+                    });
+                }
+                this.cooldownTimer = 0;
+            }
+        }
+
+        // Advance bombs in flight
+        for (let i = this.bombs.length - 1; i >= 0; i--) {
+            const bomb = this.bombs[i];
+            bomb.prevTime = bomb.time;
+            bomb.time += deltaTime;
+
+            if (bomb.time >= this.stats.flightTime) {
+                this.explode(bomb.targetX, bomb.targetY, enemyIndex);
+                this.bombs.splice(i, 1);
+            }
+        }
+
+        // Fade explosions
+        for (let i = this.explosions.length - 1; i >= 0; i--) {
+            this.explosions[i].timer -= deltaTime;
+            if (this.explosions[i].timer <= 0) {
+                this.explosions.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Damage every enemy inside the blast radius
+     * @param {number} x - Blast center X
+     * @param {number} y - Blast center Y
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies
+     */
+    explode(x, y, enemyIndex) {
+        for (const enemy of enemyIndex.queryRadius(x, y, this.stats.blastRadius, nearby)) {
+            enemy.takeDamage(this.stats.damage);
+        }
+
+        this.explosions.push({ x, y, timer: 250 });
+    }
+
+    render(ctx, alpha) {
+        for (const bomb of this.bombs) {
+            const t = Math.min(1, lerp(bomb.prevTime, bomb.time, alpha) / this.stats.flightTime);
+            const x = lerp(bomb.startX, bomb.targetX, t);
+            const y = lerp(bomb.startY, bomb.targetY, t);
+            const height = Math.sin(t * Math.PI) * 40; // Arc height
+
+            // Shadow on the ground, bomb above it
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.fillStyle = COLORS.BOMB;
+            ctx.beginPath();
+            ctx.arc(x, y - height, 5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        for (const explosion of this.explosions) {
+            const progress = 1 - explosion.timer / 250;
+            ctx.fillStyle = COLORS.BOMB + Math.floor((1 - progress) * 0x90).toString(16).padStart(2, '0');
+            ctx.beginPath();
+            ctx.arc(explosion.x, explosion.y, this.stats.blastRadius * (0.5 + progress * 0.5), 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
+
+/**
+ * Lightning that strikes the nearest enemy and jumps to others nearby
+ */
+export class ChainLightning extends Weapon {
+    constructor(owner, definition) {
+        super(owner, definition);
+        this.cooldownTimer = 0;
+        this.arcs = []; // Visual bolts {points, timer}
+    }
+
+    update(deltaTime, world, enemyIndex) {
+        this.cooldownTimer += deltaTime;
+
+        for (let i = this.arcs.length - 1; i >= 0; i--) {
+            this.arcs[i].timer -= deltaTime;
+            if (this.arcs[i].timer <= 0) {
+                this.arcs.splice(i, 1);
+            }
+        }
+
+        if (this.cooldownTimer < this.stats.cooldown) return;
+
+        const first = enemyIndex.findNearest(this.owner.x, this.owner.y, this.stats.range, 1, nearby)[0];
+        if (!first) return;
+        this.cooldownTimer = 0;
+
+        // Strike, then jump to the nearest enemy not yet hit
+        const hit = new Set();
+        const points = [{ x: this.owner.x, y: this.owner.y }];
+        let current = first;
+
+        while (current && hit.size <= this.stats.chains) {
+            hit.add(current);
+            points.push({ x: current.x, y: current.y });
+            current.takeDamage(this.stats.damage);
+
+            current = enemyIndex.findNearest(current.x, current.y, this.stats.chainRange, 1, nearby, hit)[0];
+        }
+
+        this.arcs.push({ points: this.jaggedPath(points), timer: 200 });
+    }
+
+    /**
+     * Add jitter between the strike points so the bolt looks electric
+     * @param {Array} points - Strike points {x, y}
+     * @returns {Array} Jagged path {x, y}
+     */
+    jaggedPath(points) {
+        const random = getRandom('effects');
+        const path = [points[0]];
+
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
+            for (let s = 1; s < 4; s++) {
+                path.push({
+                    x: lerp(from.x, to.x, s / 4) + random.float(-6, 6),
+                    y: lerp(from.y, to.y, s / 4) + random.float(-6, 6)
+                });
+            }
+            path.push(to);
+        }
+
+        return path;
+    }
+
+    render(ctx, alpha) {
+        ctx.strokeStyle = COLORS.LIGHTNING;
+        ctx.lineWidth = 2;
+
+        for (const arc of this.arcs) {
+            ctx.globalAlpha = arc.timer / 200;
+            ctx.beginPath();
+            ctx.moveTo(arc.points[0].x, arc.points[0].y);
+            for (let i = 1; i < arc.points.length; i++) {
+                ctx.lineTo(arc.points[i].x, arc.points[i].y);
+            }
+            ctx.stroke();
+        }
+
+        ctx.globalAlpha = 1;
+    }
+}
+
+/**
+ * Registry of weapon types. Each entry declares its name, HUD detail,
+ * how often it is offered as a new weapon, its upgrade tree and a factory.
+ * Bolt upgrades are resolved by WeaponSystem itself; the others use
+ * the stat/step/min/max fields through the Weapon base class.
+ */
+export const WEAPON_TYPES = {
+    bolt: {
+        name: 'Bolt',
+        description: 'Auto-targeting projectiles.',
+        weight: 0, // Starting weapon, never offered
+        getDetail: (weapon) => weapon.firingPattern,
+        create: (owner) => new WeaponSystem(owner),
+        upgrades: {
+            damage: { name: 'Damage', description: 'Bolts hit harder.', weight: 10, format: (value) => `${value}` },
+            fireRate: { name: 'Fire Rate', description: 'Fire more often.', weight: 10, format: (value) => `${value}/s` },
+            multiShot: { name: 'Multi-shot', description: 'Fire an extra bolt per volley.', weight: 6, format: (value) => `${value}` },
+            range: { name: 'Targeting Range', description: 'Lock on to enemies from further away.', weight: 6, format: (value) => `${value}px` },
+            homing: { name: 'Homing', description: 'Bolts curve towards enemies.', weight: 4, format: (value) => `${Math.round(value * 100)}%` },
+            piercing: { name: 'Piercing', description: 'Bolts pass through enemies.', weight: 3, format: (value) => (value ? 'on' : 'off') },
+            pattern: { name: 'Firing Pattern', description: 'Switch to the next firing pattern.', weight: 3, format: (value) => value }
+        }
+    },
+    blade: {
+        name: 'Orbiting Blade',
+        description: 'Blades circle you, cutting anything they touch.',
+        weight: 5,
+        stats: { count: 2, damage: 12, radius: 60, speed: 180, size: 8, hitCooldown: 500 },
+        getDetail: (weapon) => `${weapon.stats.count} blades`,
+        create: (owner, definition) => new OrbitingBlade(owner, definition),
+        upgrades: {
+            count: { name: 'Extra Blade', description: 'Add another blade to the orbit.', weight: 8, stat: 'count', step: 1, max: 6, format: (value) => `${value}` },
+            damage: { name: 'Sharpen', description: 'Blades hit harder.', weight: 10, stat: 'damage', step: 5, format: (value) => `${value}` },
+            radius: { name: 'Wider Orbit', description: 'Blades circle further out.', weight: 5, stat: 'radius', step: 15, max: 120, format: (value) => `${value}px` },
+            speed: { name: 'Spin Speed', description: 'Blades orbit faster.', weight: 5, stat: 'speed', step: 45, max: 360, format: (value) => `${value}°/s` }
+        }
+    },
+    aura: {
+        name: 'Aura',
+        description: 'A field that damages every enemy close to you.',
+        weight: 5,
+        stats: { radius: 70, damage: 4, tickInterval: 500 },
+        getDetail: (weapon) => `${weapon.stats.radius}px`,
+        create: (owner, definition) => new Aura(owner, definition),
+        upgrades: {
+            radius: { name: 'Expand Aura', description: 'The field grows larger.', weight: 8, stat: 'radius', step: 15, max: 160, format: (value) => `${value}px` },
+            damage: { name: 'Intensify', description: 'The field burns harder.', weight: 10, stat: 'damage', step: 2, format: (value) => `${value}` },
+            tickInterval: { name: 'Pulse Rate', description: 'The field pulses more often.', weight: 5, stat: 'tickInterval', step: -50, min: 200, format: (value) => `${value}ms` }
+        }
+    },
+    bomb: {
+        name: 'Bomb',
+        description: 'Lobbed over walls, exploding on the nearest enemies.',
+        weight: 5,
+        stats: { damage: 30, blastRadius: 60, cooldown: 2500, count: 1, throwRange: 220, flightTime: 600 },
+        getDetail: (weapon) => `x${weapon.stats.count}`,
+        create: (owner, definition) => new Bomb(owner, definition),
+        upgrades: {
+            damage: { name: 'Payload', description: 'Bombs hit harder.', weight: 10, stat: 'damage', step: 15, format: (value) => `${value}` },
+            blastRadius: { name: 'Blast Radius', description: 'Explosions cover more ground.', weight: 6, stat: 'blastRadius', step: 15, max: 130, format: (value) => `${value}px` },
+            cooldown: { name: 'Quick Fuse', description: 'Throw bombs more often.', weight: 6, stat: 'cooldown', step: -300, min: 1000, format: (value) => `${(value / 1000).toFixed(1)}s` },
+            count: { name: 'Cluster', description: 'Throw an extra bomb per volley.', weight: 4, stat: 'count', step: 1, max: 4, format: (value) => `${value}` }
+        }
+    },
+    lightning: {
+        name: 'Chain Lightning',
+        description: 'Strikes the nearest enemy and jumps to others.',
+        weight: 5,
+        stats: { damage: 18, chains: 2, chainRange: 120, cooldown: 1800, range: 250 },
+        getDetail: (weapon) => `${weapon.stats.chains} jumps`,
+        create: (owner, definition) => new ChainLightning(owner, definition),
+        upgrades: {
+            damage: { name: 'Voltage', description: 'Lightning hits harder.', weight: 10, stat: 'damage', step: 8, format: (value) => `${value}` },
+            chains: { name: 'Conductor', description: 'Lightning jumps to one more enemy.', weight: 8, stat: 'chains', step: 1, max: 8, format: (value) => `${value}` },
+            chainRange: { name: 'Arc Distance', description: 'Lightning jumps further.', weight: 5, stat: 'chainRange', step: 30, max: 240, format: (value) => `${value}px` },
+            cooldown: { name: 'Recharge', description: 'Strike more often.', weight: 6, stat: 'cooldown', step: -200, min: 600, format: (value) => `${(value / 1000).toFixed(1)}s` }
+        }
+    }
+};
+
+/**
+ * Register a new weapon type
+ * @param {string} id - Weapon type id
+ * @param {Object} definition - Weapon definition (see WEAPON_TYPES)
+ */
+export function registerWeapon(id, definition) {
+    WEAPON_TYPES[id] = definition;
+}
+
+/**
+ * The set of weapons a player holds, up to a slot cap
+ */
+export class Arsenal {
+    constructor(owner) {
+        this.owner = owner;
+        this.slots = []; // Array of {id, definition, weapon}
+        this.maxSlots = CONFIG.WEAPON.MAX_SLOTS;
+        this.projectiles = []; // Reused by getProjectiles()
+    }
+
+    /**
+     * Equip a new weapon
+     * @param {string} id - Weapon type id
+     * @returns {Object|null} The created weapon, or null if full, unknown or already held
+     */
+    add(id) {
+        const definition = WEAPON_TYPES[id];
+        if (!definition || this.has(id) || this.isFull()) return null;
+
+        const weapon = definition.create(this.owner, definition);
+        this.slots.push({ id, definition, weapon });
+        return weapon;
+    }
+
+    /**
+     * Get an equipped weapon
+     * @param {string} id - Weapon type id
+     * @returns {Object|null} The weapon, or null if not held
+     */
+    get(id) {
+        const slot = this.slots.find(s => s.id === id);
+        return slot ? slot.weapon : null;
+    }
+
+    /**
+     * Check whether a weapon type is equipped
+     * @param {string} id - Weapon type id
+     * @returns {boolean} True if held
+     */
+    has(id) {
+        return this.slots.some(s => s.id === id);
+    }
+
+    /**
+     * Check whether every slot is in use
+     * @returns {boolean} True if no more weapons can be added
+     */
+    isFull() {
+        return this.slots.length >= this.maxSlots;
+    }
+
+    /**
+     * Get weapon types that could still be added
+     * @returns {Array<string>} Weapon type ids
+     */
+    getUnequippedTypes() {
+        if (this.isFull()) return [];
+        return Object.keys(WEAPON_TYPES).filter(id => !this.has(id) && WEAPON_TYPES[id].weight > 0);
+    }
+
+    /**
+     * Update every weapon
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {World} world - World instance
+     * @param {SpatialHash} enemyIndex - Spatial index of enemies
+     */
+    update(deltaTime, world, enemyIndex) {
+        for (const slot of this.slots) {
+            slot.weapon.update(deltaTime, world, enemyIndex);
+        }
+    }
+
+    /**
+     * Render every weapon
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(ctx, alpha) {
+        for (const slot of this.slots) {
+            slot.weapon.render(ctx, alpha);
+        }
+    }
+
+    /**
+     * Get projectiles from every weapon that fires them
+     * @returns {Array} Live projectiles; reused between calls, so check active
+     */
+    getProjectiles() {
+        this.projectiles.length = 0;
+        for (const slot of this.slots) {
+            for (const projectile of slot.weapon.getProjectiles()) {
+                this.projectiles.push(projectile);
+            }
+        }
+        return this.projectiles;
+    }
+
+    /**
+     * Capture every equipped weapon for a saved run
+     * @returns {Array} Array of {id, state}
+     */
+    serialize() {
+        return this.slots.map(slot => ({ id: slot.id, state: slot.weapon.serialize() }));
+    }
+
+    /**
+     * Replace the equipped weapons with those from a saved run
+     * @param {Array} saved - Snapshot from serialize()
+     */
+    restore(saved) {
+        this.slots = [];
+        for (const { id, state } of saved) {
+            // Weapon types removed since the save are dropped
+            const weapon = this.add(id);
+            if (weapon) weapon.restore(state);
+        }
+    }
+
+    /**
+     * Get pool usage from every weapon that pools its projectiles
+     * @returns {Object} Map of weapon id to pool stats
+     */
+    getPoolStats() {
+        const stats = {};
+        for (const slot of this.slots) {
+            if (slot.weapon.getPoolStats) {
+                stats[slot.id] = slot.weapon.getPoolStats();
+            }
+        }
+        return stats;
+    }
+}
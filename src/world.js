@@ -1,38 +1,70 @@
 /**
  * World module - handles world generation, collision detection, and rendering
  */
-import { TILE_TYPES, COLORS } from './utils.js';
+import { TILE_TYPES, TILE_DEFS, COLORS, clamp } from './utils.js';
 import { CONFIG } from './config.js';
-export class World {    constructor() {
+import { getRandom } from './random.js';
+import { GENERATORS, addTerrain, connectMap } from './generators.js';
+import { getSpriteSheet } from './sprites.js';
+export class World {    /**
+     * @param {Object|null} map - Parsed Tiled map (see tiled.js), or null to generate one
+     */
+    constructor(map = null) {
         this.tileSize = CONFIG.WORLD.TILE_SIZE;
         this.width = CONFIG.WORLD.WIDTH_TILES; // tiles
         this.height = CONFIG.WORLD.HEIGHT_TILES; // tiles
         
-        // Generate a simple world with some obstacles
-        this.tiles = this.generateWorld();
+        // Set by Tiled maps; generated worlds use the config start and ring spawning
+        this.playerStart = null; // {x, y} in pixels
+        this.spawnZones = []; // [{x, y, width, height}] in pixels
+        this.layers = []; // Tile layers drawn over the base tiles
+        this.tileColors = new Map(); // Tile id -> colour for those layers
+        this.tileHealth = new Map(); // Remaining health of damaged destructible tiles, by y * width + x
+        this.revision = 0; // Bumped whenever a tile changes, so cached paths can rebuild
+        this.time = 0; // Clock for animated tiles, in ms
+        
+        if (map) {
+            this.loadMap(map);
+        } else {
+            // Generate a procedural world with the configured generator
+            this.tiles = this.generateWorld();
+        }
+    }
+    
+    /**
+     * Use a map loaded from Tiled instead of a generated one
+     * @param {Object} map - Parsed map from parseTiledMap()
+     */
+    loadMap(map) {
+        this.tileSize = map.tileSize;
+        this.width = map.width;
+        this.height = map.height;
+        this.tiles = map.tiles;
+        this.playerStart = map.playerStart;
+        this.spawnZones = map.spawnZones;
+        this.layers = map.layers;
+        this.tileColors = new Map(map.tileColors);
     }
     
     /**
-     * Generate the world tiles
+     * Generate the world tiles with the configured generator, sprinkle in
+     * terrain, then make sure the player start is open and connected to every
+     * walkable tile
      * @returns {Array<Array<number>>} 2D array of tile types
      */
     generateWorld() {
-        const tiles = [];
-        
-        for (let y = 0; y < this.height; y++) {
-            tiles[y] = [];            for (let x = 0; x < this.width; x++) {
-                // Create borders
-                if (x === 0 || x === this.width - 1 || y === 0 || y === this.height - 1) {
-                    tiles[y][x] = TILE_TYPES.WALL; // Wall
-                }                // Add some random obstacles
-                else if (Math.random() < CONFIG.WORLD.OBSTACLE_DENSITY) {
-                    tiles[y][x] = TILE_TYPES.WALL; // Wall
-                } else {
-                    tiles[y][x] = TILE_TYPES.FLOOR; // Floor
-                }
-            }
+        const generator = GENERATORS[CONFIG.WORLD.GENERATOR];
+        if (!generator) {
+            throw new Error(`Unknown map generator: ${CONFIG.WORLD.GENERATOR}`);
         }
         
+        const random = getRandom('world');
+        const tiles = generator(this.width, this.height, random);
+        addTerrain(tiles, random);
+        const startX = clamp(Math.floor(CONFIG.PLAYER.START_X / this.tileSize), 1, this.width - 2);
+        const startY = clamp(Math.floor(CONFIG.PLAYER.START_Y / this.tileSize), 1, this.height - 2);
+        connectMap(tiles, startX, startY);
+        
         return tiles;
     }
     
@@ -51,14 +83,10 @@ export class World {    constructor() {
         const top = Math.floor((y - height/2) / this.tileSize);
         const bottom = Math.floor((y + height/2) / this.tileSize);
         
-        // Check bounds
-        if (left < 0 || right >= this.width || top < 0 || bottom >= this.height) {
-            return false;
-        }
-          // Check for solid tiles
+        // Check for solid tiles (out of bounds counts as wall)
         for (let ty = top; ty <= bottom; ty++) {
             for (let tx = left; tx <= right; tx++) {
-                if (this.tiles[ty][tx] === TILE_TYPES.WALL) {
+                if (TILE_DEFS[this.getTile(tx, ty)].solid) {
                     return false;
                 }
             }
@@ -67,22 +95,218 @@ export class World {    constructor() {
         return true;
     }
     
+    /**
+     * Capture the map for a saved run
+     * @returns {Object} Plain snapshot with one digit string per tile row
+     */
+    serialize() {
+        return {
+            width: this.width,
+            height: this.height,
+            tileSize: this.tileSize,
+            tiles: this.tiles.map(row => row.join(''))
+        };
+    }
+    
+    /**
+     * Replace the map with one from a saved run
+     * @param {Object} data - Snapshot from serialize()
+     */
+    restore(data) {
+        this.width = data.width;
+        this.height = data.height;
+        this.tileSize = data.tileSize || this.tileSize;
+        this.tiles = data.tiles.map(row => Array.from(row, Number));
+        this.tileHealth.clear();
+        this.revision++;
+    }
+    
     /**
      * Get tile type at world coordinates
      * @param {number} x - World X coordinate
      * @param {number} y - World Y coordinate
-     * @returns {number} Tile type (0 = floor, 1 = wall)
+     * @returns {number} Tile type (see TILE_TYPES)
      */
     getTileAt(x, y) {
-        const tileX = Math.floor(x / this.tileSize);
-        const tileY = Math.floor(y / this.tileSize);
-          if (tileX < 0 || tileX >= this.width || tileY < 0 || tileY >= this.height) {
+        return this.getTile(Math.floor(x / this.tileSize), Math.floor(y / this.tileSize));
+    }
+    
+    /**
+     * Get tile type by tile coordinates
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @returns {number} Tile type (see TILE_TYPES)
+     */
+    getTile(tileX, tileY) {
+        if (tileX < 0 || tileX >= this.width || tileY < 0 || tileY >= this.height) {
             return TILE_TYPES.WALL; // Out of bounds = wall
         }
-        
         return this.tiles[tileY][tileX];
     }
     
+    /**
+     * Change a tile in place
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @param {number} type - New tile type
+     */
+    setTile(tileX, tileY, type) {
+        this.tiles[tileY][tileX] = type;
+        this.revision++;
+    }
+    
+    /**
+     * Get a numeric key for a tile, valid for negative coordinates too
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @returns {number} Key unique to the tile
+     */
+    tileKey(tileX, tileY) {
+        return tileX * 4194304 + tileY;
+    }
+    
+    /**
+     * Get the range of tile coordinates that exist
+     * @returns {Object} Inclusive {left, top, right, bottom} in tiles
+     */
+    getTileBounds() {
+        return { left: 0, top: 0, right: this.width - 1, bottom: this.height - 1 };
+    }
+    
+    /**
+     * Per-step world upkeep: advance the tile animation clock
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {Camera} camera - Camera, for worlds that stream around the view
+     * @param {number} screenWidth - Screen width
+     * @param {number} screenHeight - Screen height
+     */
+    update(deltaTime, camera, screenWidth, screenHeight) {
+        this.time += deltaTime;
+    }
+    
+    /**
+     * Get the properties of the tile at world coordinates
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @returns {Object} Entry from TILE_DEFS
+     */
+    getTerrainAt(x, y) {
+        return TILE_DEFS[this.getTileAt(x, y)];
+    }
+    
+    /**
+     * Check whether a tile can be walked through
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @returns {boolean} True for in-bounds tiles that are not solid
+     */
+    isWalkableTile(tileX, tileY) {
+        return !TILE_DEFS[this.getTile(tileX, tileY)].solid;
+    }
+    
+    /**
+     * Check whether a projectile is stopped by terrain, damaging the tile that
+     * stops it if it is destructible. The tile it was fired from never stops
+     * it, so shooting from water or behind a low wall still works.
+     * @param {number} x - Projectile X
+     * @param {number} y - Projectile Y
+     * @param {number} size - Projectile diameter
+     * @param {number} damage - Damage dealt to destructible tiles
+     * @param {number} originX - X the projectile was fired from
+     * @param {number} originY - Y the projectile was fired from
+     * @returns {boolean} True if the projectile hit something
+     */
+    blocksProjectile(x, y, size, damage, originX, originY) {
+        const left = Math.floor((x - size/2) / this.tileSize);
+        const right = Math.floor((x + size/2) / this.tileSize);
+        const top = Math.floor((y - size/2) / this.tileSize);
+        const bottom = Math.floor((y + size/2) / this.tileSize);
+        const originTileX = Math.floor(originX / this.tileSize);
+        const originTileY = Math.floor(originY / this.tileSize);
+        
+        for (let ty = top; ty <= bottom; ty++) {
+            for (let tx = left; tx <= right; tx++) {
+                const terrain = TILE_DEFS[this.getTile(tx, ty)];
+                if (terrain.solid || (terrain.blocksProjectiles && (tx !== originTileX || ty !== originTileY))) {
+                    this.damageTile(tx, ty, damage);
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Damage a destructible tile, replacing it once its health runs out
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @param {number} damage - Damage dealt
+     * @returns {boolean} True if the tile was destroyed
+     */
+    damageTile(tileX, tileY, damage) {
+        const terrain = TILE_DEFS[this.getTile(tileX, tileY)];
+        if (terrain.health <= 0 || damage <= 0) return false;
+        
+        const key = this.tileKey(tileX, tileY);
+        const health = (this.tileHealth.get(key) ?? terrain.health) - damage;
+        if (health > 0) {
+            this.tileHealth.set(key, health);
+            return false;
+        }
+        
+        this.tileHealth.delete(key);
+        this.setTile(tileX, tileY, terrain.destroyedInto);
+        return true;
+    }
+    
+    /**
+     * Check whether a straight line between two points crosses only walkable tiles
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @returns {boolean} True if nothing solid is in the way
+     */
+    hasLineOfSight(x1, y1, x2, y2) {
+        // Grid traversal (Amanatides & Woo): visit every tile the segment passes through
+        let tileX = Math.floor(x1 / this.tileSize);
+        let tileY = Math.floor(y1 / this.tileSize);
+        const endX = Math.floor(x2 / this.tileSize);
+        const endY = Math.floor(y2 / this.tileSize);
+        
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const stepX = Math.sign(dx);
+        const stepY = Math.sign(dy);
+        
+        // Distance along the line (as a 0-1 fraction) to cross one tile on each axis
+        const deltaX = stepX !== 0 ? this.tileSize / Math.abs(dx) : Infinity;
+        const deltaY = stepY !== 0 ? this.tileSize / Math.abs(dy) : Infinity;
+        
+        // Fraction at which the line crosses the first tile boundary on each axis
+        let maxX = stepX > 0 ? ((tileX + 1) * this.tileSize - x1) / dx :
+                   stepX < 0 ? (tileX * this.tileSize - x1) / dx : Infinity;
+        let maxY = stepY > 0 ? ((tileY + 1) * this.tileSize - y1) / dy :
+                   stepY < 0 ? (tileY * this.tileSize - y1) / dy : Infinity;
+        
+        // Each step crosses exactly one tile boundary
+        const steps = Math.abs(endX - tileX) + Math.abs(endY - tileY);
+        for (let i = 0; i < steps; i++) {
+            if (!this.isWalkableTile(tileX, tileY)) return false;
+            
+            if (maxX < maxY) {
+                maxX += deltaX;
+                tileX += stepX;
+            } else {
+                maxY += deltaY;
+                tileY += stepY;
+            }
+        }
+        
+        return this.isWalkableTile(tileX, tileY);
+    }
+    
     /**
      * Get world dimensions in pixels
      * @returns {Object} Object with width and height in pixels
@@ -94,36 +318,133 @@ export class World {    constructor() {
         };
     }
     
+    /**
+     * Draw the markings that set special terrain apart from plain floor
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} tileType - Tile type
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @param {number} tileX - Tile left in pixels
+     * @param {number} tileY - Tile top in pixels
+     */
+    renderTileDetail(ctx, tileType, x, y, tileX, tileY) {
+        const size = this.tileSize;
+        
+        switch (tileType) {
+            case TILE_TYPES.MUD:
+                // Scattered clods
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+                ctx.fillRect(tileX + size * 0.2, tileY + size * 0.3, size * 0.15, size * 0.1);
+                ctx.fillRect(tileX + size * 0.6, tileY + size * 0.65, size * 0.2, size * 0.1);
+                break;
+            case TILE_TYPES.LAVA:
+            case TILE_TYPES.POISON:
+                // Bright bubbles mark damaging ground
+                ctx.fillStyle = tileType === TILE_TYPES.LAVA ? COLORS.LAVA_BUBBLE : COLORS.POISON_BUBBLE;
+                ctx.beginPath();
+                ctx.arc(tileX + size * 0.3, tileY + size * 0.35, size * 0.1, 0, Math.PI * 2);
+                ctx.arc(tileX + size * 0.7, tileY + size * 0.65, size * 0.07, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            case TILE_TYPES.WATER:
+                // Ripple lines
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(tileX + size * 0.15, tileY + size * 0.4);
+                ctx.lineTo(tileX + size * 0.5, tileY + size * 0.4);
+                ctx.moveTo(tileX + size * 0.45, tileY + size * 0.7);
+                ctx.lineTo(tileX + size * 0.85, tileY + size * 0.7);
+                ctx.stroke();
+                break;
+            case TILE_TYPES.LOW_WALL:
+                // Half-height block on the floor
+                ctx.fillStyle = COLORS.FLOOR;
+                ctx.fillRect(tileX, tileY, size, size * 0.35);
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+                ctx.fillRect(tileX, tileY + size * 0.85, size, size * 0.15);
+                break;
+            case TILE_TYPES.CRATE: {
+                // Cross-braced box that darkens as it takes damage
+                const inset = size * 0.12;
+                ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(tileX + inset, tileY + inset, size - inset * 2, size - inset * 2);
+                ctx.beginPath();
+                ctx.moveTo(tileX + inset, tileY + inset);
+                ctx.lineTo(tileX + size - inset, tileY + size - inset);
+                ctx.moveTo(tileX + size - inset, tileY + inset);
+                ctx.lineTo(tileX + inset, tileY + size - inset);
+                ctx.stroke();
+                
+                const health = this.tileHealth.get(this.tileKey(x, y));
+                if (health !== undefined) {
+                    ctx.fillStyle = `rgba(0, 0, 0, ${0.5 * (1 - health / TILE_DEFS[tileType].health)})`;
+                    ctx.fillRect(tileX, tileY, size, size);
+                }
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Get the fill colour for a Tiled tile id
+     * @param {number} gid - Tile id from a Tiled layer
+     * @returns {string} CSS colour
+     */
+    getTileColor(gid) {
+        let color = this.tileColors.get(gid);
+        if (!color) {
+            // Tiles without a "color" property get a stable muted hue
+            color = `hsl(${(gid * 47) % 360}, 25%, 30%)`;
+            this.tileColors.set(gid, color);
+        }
+        return color;
+    }
+    
     /**
      * Render the world
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-     * @param {Camera} camera - Camera instance
+     * @param {Object} camera - Camera view position {x, y}
      * @param {number} screenWidth - Screen width
      * @param {number} screenHeight - Screen height
      */
     render(ctx, camera, screenWidth, screenHeight) {
         // Calculate visible tile range for culling
-        const startX = Math.max(0, Math.floor(camera.x / this.tileSize));
-        const endX = Math.min(this.width - 1, Math.floor((camera.x + screenWidth) / this.tileSize));
-        const startY = Math.max(0, Math.floor(camera.y / this.tileSize));
-        const endY = Math.min(this.height - 1, Math.floor((camera.y + screenHeight) / this.tileSize));
+        const bounds = this.getTileBounds();
+        const startX = Math.max(bounds.left, Math.floor(camera.x / this.tileSize));
+        const endX = Math.min(bounds.right, Math.floor((camera.x + screenWidth) / this.tileSize));
+        const startY = Math.max(bounds.top, Math.floor(camera.y / this.tileSize));
+        const endY = Math.min(bounds.bottom, Math.floor((camera.y + screenHeight) / this.tileSize));
+        const sheet = getSpriteSheet('tiles');
         
         // Render visible tiles
         for (let y = startY; y <= endY; y++) {
             for (let x = startX; x <= endX; x++) {
-                const tileType = this.tiles[y][x];
+                const tileType = this.getTile(x, y);
+                const terrain = TILE_DEFS[tileType];
                 const tileX = x * this.tileSize;
                 const tileY = y * this.tileSize;
-                  // Choose color based on tile type
-                if (tileType === TILE_TYPES.FLOOR) {
-                    // Floor tile
-                    ctx.fillStyle = COLORS.FLOOR;
+                
+                // Tiles with a clip in the tile sheet animate on the world clock
+                const clip = sheet ? sheet.clips.get(terrain.name) : null;
+                if (clip) {
+                    sheet.drawFrame(ctx, sheet.getFrameAt(clip, this.time), tileX, tileY, this.tileSize, this.tileSize);
                 } else {
-                    // Wall tile
-                    ctx.fillStyle = COLORS.WALL;
+                    ctx.fillStyle = terrain.color;
+                    ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
+                    this.renderTileDetail(ctx, tileType, x, y, tileX, tileY);
                 }
                 
-                ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
+                // Tiled layers paint over the base colour, bottom layer first
+                for (const layer of this.layers) {
+                    const gid = layer.data[y * this.width + x];
+                    if (gid === 0) continue;
+                    ctx.globalAlpha = layer.opacity;
+                    ctx.fillStyle = this.getTileColor(gid);
+                    ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
+                    ctx.globalAlpha = 1;
+                }
                 
                 // Add subtle grid lines for visual clarity
                 ctx.strokeStyle = COLORS.GRID;